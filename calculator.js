@@ -2,31 +2,77 @@
  * Dividend Discount Model Calculator - Main Entry Point
  * CFA Institute - Vanilla JavaScript Implementation
  * 
- * This calculator demonstrates equity valuation using three dividend models:
+ * This calculator demonstrates equity valuation using five dividend models:
  * 1. Constant Dividend Model
  * 2. Constant Growth Model (Gordon Growth Model)
  * 3. Changing Growth Model (Two-Stage Model)
+ * 4. H-Model (Fuller–Hsia)
+ * 5. Three-Stage Model (linear transition)
  */
 
-import { state, setState, subscribe } from './modules/state.js';
-import { calculateAllModels } from './modules/calculations.js';
+import { state, setState, subscribe, INPUT_FIELDS } from './modules/state.js';
+import { 
+  calculateAllModels,
+  calculateModel,
+  calculateCapmRequired,
+  calculateSustainableGrowth,
+  calculateJustifiedMultiples,
+  calculateVerdict,
+  getEarningsBasis,
+  getModelMetadata,
+  toModelParams,
+  MODEL_KEYS,
+  getModelInputs,
+  GROWTH_FIELDS
+} from './modules/calculations.js';
+import { solveImpliedReturn, goalSeek } from './modules/solver.js';
+import { calculateHoldingPeriod } from './modules/holding.js';
 import { 
   validateAllInputs,
   validateField,
+  getDependentFields,
+  getValidationRule,
   updateFieldError,
-  updateValidationSummary,
-  hasErrors 
+  updateValidationSummary
 } from './modules/validation.js';
 import { 
   $,
   listen,
   focusElement,
   announceToScreenReader,
-  debounce 
+  debounce,
+  setText,
+  createElement,
+  downloadFile,
+  formatCurrency 
 } from './modules/utils.js';
 import { renderChart, shouldShowLabels, destroyChart } from './modules/chart.js';
 import { renderTable } from './modules/table.js';
 import { renderResults } from './modules/results.js';
+import { renderSensitivity } from './modules/sensitivity.js';
+import { runSimulation, getTiedFields, SIMULATED_FIELDS } from './modules/simulation.js';
+import { renderSimulation, destroyHistogram } from './modules/simulation-view.js';
+import { calculateComparison, calculateWeightedValue } from './modules/comparison.js';
+import {
+  renderComparisonResults,
+  renderComparisonChart,
+  renderComparisonTable,
+  destroyComparisonChart
+} from './modules/comparison-view.js';
+import {
+  createScenario,
+  copyScenario,
+  uniqueName,
+  loadSavedScenarios,
+  storeScenarios,
+  exportScenarios,
+  importScenarios,
+  captureInputs,
+  normalizeInputs
+} from './modules/scenarios.js';
+import { encodeShareQuery, decodeShareQuery } from './modules/share.js';
+import { buildCsvExport } from './modules/csv.js';
+import { resetHistory, recordSnapshot, undo, redo, canUndo, canRedo } from './modules/history.js';
 
 // =============================================================================
 // INITIALIZATION
@@ -41,12 +87,40 @@ function init() {
   // Set up input event listeners
   setupInputListeners();
   
+  // Set up direct/CAPM required return entry
+  setupRequiredMode();
+  
+  // Set up direct/fundamentals growth entry
+  setupGrowthMode();
+  
+  // Set up direct/earnings-driven dividend entry
+  setupDividendMode();
+  
   // Set up model selector
   setupModelSelector();
   
   // Set up view toggle listeners
   setupViewToggle();
   
+  // Set up chart/table display options
+  setupDisplayOptions();
+  
+  // Set up goal-seek panel
+  setupGoalSeek();
+  
+  // Set up saved scenarios
+  setupScenarios();
+  
+  // Set up the scenario comparison panel
+  setupComparison();
+  
+  // Set up link copying, then open with any inputs, model and view given in the URL
+  setupShareLinks();
+  restoreFromUrl();
+  
+  // Set up undo/redo, starting from the inputs the page opened with
+  setupHistory();
+  
   // Set up skip link handlers
   setupSkipLinks();
   
@@ -55,6 +129,7 @@ function init() {
   
   // Subscribe to state changes
   subscribe(handleStateChange);
+  subscribe(syncShareUrl);
   
   // Initial calculation
   updateCalculations();
@@ -93,29 +168,26 @@ function setupSkipLinks() {
 // INPUT HANDLING
 // =============================================================================
 
+/**
+ * Debounced field updates (flushed before undo/redo so a typed value is not lost)
+ */
+const fieldUpdates = [];
+
 /**
  * Set up event listeners for input fields
  */
 function setupInputListeners() {
-  const inputs = [
-    { id: 'D0', field: 'D0' },
-    { id: 'required', field: 'required' },
-    { id: 'gConst', field: 'gConst' },
-    { id: 'gShort', field: 'gShort' },
-    { id: 'gLong', field: 'gLong' },
-    { id: 'shortYears', field: 'shortYears' }
-  ];
-  
-  inputs.forEach(({ id, field }) => {
-    const input = $(`#${id}`);
+  INPUT_FIELDS.forEach(field => {
+    const input = $(`#${field}`);
     if (!input) return;
     
     const debouncedUpdate = debounce(() => {
       const value = parseFloat(input.value);
+      const values = { ...state, [field]: value };
       
-      // Validate field
-      const error = validateField(field, value);
-      updateFieldError(id, error);
+      // Validate field (cross-field rules see the other current inputs)
+      const error = validateField(field, value, values);
+      updateFieldError(field, error);
       
       // Update state
       const errors = { ...state.errors };
@@ -125,50 +197,163 @@ function setupInputListeners() {
         delete errors[field];
       }
       
+      // Fields checked against this one (e.g. growth < required return) may have changed validity
+      revalidateDependents(field, values, errors);
+      
       setState({
         [field]: value,
         errors
       });
       
-      // Update validation summary
-      updateValidationSummary(errors);
+      // CAPM inputs feed the derived required return
+      if (CAPM_FIELDS.includes(field) && state.requiredMode === 'capm') {
+        applyCapmRequired();
+      }
+      
+      // EPS and high-growth payout feed the derived current dividend
+      if (EARNINGS_FIELDS.includes(field) && state.dividendMode === 'earnings') {
+        applyEarningsDividend();
+      }
       
-      // Recalculate if no errors
-      if (!hasErrors(errors)) {
-        updateCalculations();
+      // Fundamentals feed the derived growth rates, which must stay below required return
+      if (state.growthMode === 'fundamentals') {
+        applyFundamentalsGrowth();
       }
+      
+      // Update validation summary
+      updateValidationSummary(state.errors);
+      
+      // Recalculate (models that depend on an invalid input report why instead)
+      updateCalculations();
+      
+      recordHistory(field);
     }, 300);
     
+    fieldUpdates.push(debouncedUpdate);
     listen(input, 'input', debouncedUpdate);
     listen(input, 'change', debouncedUpdate);
   });
 }
 
+/**
+ * Re-validate the fields whose cross-field rules read a changed field
+ * Updates each dependent's error state and tooltip. Derived fields are skipped:
+ * they are re-validated when their value is derived again
+ * @param {string} field - Changed field
+ * @param {Object} values - Input values including the change
+ * @param {Object} errors - Validation errors keyed by field (mutated)
+ */
+function revalidateDependents(field, values, errors) {
+  getDependentFields(field).forEach(dependent => {
+    if (getDerivedSource(dependent)) return;
+    
+    const error = validateField(dependent, values[dependent], values);
+    if (error === (errors[dependent] || null)) return;
+    
+    updateFieldError(dependent, error);
+    if (error) {
+      errors[dependent] = error;
+    } else {
+      delete errors[dependent];
+    }
+  });
+}
+
+/**
+ * Invalid inputs a model depends on, including the inputs a derived value is built from
+ * @param {string} modelKey - Model identifier
+ * @param {Object} errors - Validation errors keyed by field
+ * @param {string} dividendMode - Dividend entry mode the inputs were entered in
+ * @returns {Array<string>} Fields with errors
+ */
+function getInvalidInputs(modelKey, errors = state.errors, dividendMode = state.dividendMode) {
+  // Source errors only exist while their entry mode is active
+  const sources = {
+    required: CAPM_FIELDS,
+    D0: ['eps', 'payoutHigh'],
+    gConst: FUNDAMENTALS_FIELDS,
+    gLong: FUNDAMENTALS_FIELDS
+  };
+  
+  const fields = getModelInputs(modelKey, dividendMode).flatMap(field => [field, ...(sources[field] || [])]);
+  
+  return [...new Set(fields)].filter(field => errors[field]);
+}
+
 /**
  * Update calculations based on current state
+ * Each model is calculated only when the inputs it depends on are valid
  */
 function updateCalculations() {
-  const { D0, required, gConst, gShort, gLong, shortYears, errors } = state;
-  
-  // Don't calculate if there are validation errors
-  if (hasErrors(errors)) {
-    setState({ calculations: null });
-    return;
-  }
+  const { marketPrice, purchasePrice, errors } = state;
+  const anyInvalid = (fields) => fields.some(field => errors[field]);
   
   try {
-    // Calculate all three models
-    const calculations = calculateAllModels({
-      D0,
-      required: required / 100,
-      gConst: gConst / 100,
-      gShort: gShort / 100,
-      gLong: gLong / 100,
-      shortYears
+    const params = toModelParams(state);
+    const calculations = {};
+    
+    MODEL_KEYS.forEach(modelKey => {
+      const invalidInputs = getInvalidInputs(modelKey, errors);
+      
+      calculations[modelKey] = invalidInputs.length === 0
+        ? calculateModel(modelKey, params)
+        : {
+          price: NaN,
+          cashFlows: [],
+          error: { code: 'invalid-input', reason: invalidInputs.map(field => errors[field]).join('; ') }
+        };
+    });
+    
+    const validModels = MODEL_KEYS.filter(modelKey => isFinite(calculations[modelKey].price));
+    
+    // Solve for the implied required return and judge value when a market price is given
+    if (Number.isFinite(marketPrice) && !anyInvalid(['marketPrice', 'verdictTolerance'])) {
+      validModels.forEach(modelKey => {
+        calculations[modelKey].impliedReturn = solveImpliedReturn(modelKey, params, marketPrice);
+        calculations[modelKey].verdict = calculateVerdict(
+          calculations[modelKey].price,
+          marketPrice,
+          state.verdictTolerance / 100
+        );
+      });
+    }
+    
+    // Buy at the purchase price, hold, then sell at the model-implied price
+    if (Number.isFinite(purchasePrice) && !anyInvalid(['purchasePrice', 'holdingYears'])) {
+      validModels.forEach(modelKey => {
+        calculations[modelKey].holdingPeriod = calculateHoldingPeriod(
+          calculations[modelKey],
+          purchasePrice,
+          state.holdingYears
+        );
+      });
+    }
+    
+    // Justified P/E (and P/B) when earnings are known
+    if (!anyInvalid(['D0', 'eps', ...FUNDAMENTALS_FIELDS])) {
+      const earningsBasis = getEarningsBasis(state);
+      validModels.forEach(modelKey => {
+        calculations[modelKey].multiples = calculateJustifiedMultiples(calculations[modelKey], state.D0, earningsBasis);
+      });
+    }
+    
+    // Show the g = ROE × b derivation on models with a perpetual growth rate
+    if (state.growthMode === 'fundamentals' && !anyInvalid(FUNDAMENTALS_FIELDS)) {
+      const derivation = { roe: state.roe, ...calculateSustainableGrowth(state) };
+      validModels.forEach(modelKey => {
+        if (GROWTH_FIELDS[modelKey]) {
+          calculations[modelKey].growthDerivation = derivation;
+        }
+      });
+    }
+    
+    // Update state with calculations (a comparison including the current inputs follows them)
+    setState({
+      calculations,
+      comparison: { ...state.comparison, results: compareScenarios(state.comparison, state.selectedModel) }
     });
     
-    // Update state with calculations
-    setState({ calculations });
+    announceVerdicts(calculations);
     
   } catch (error) {
     console.error('Calculation error:', error);
@@ -176,224 +361,1821 @@ function updateCalculations() {
   }
 }
 
+/**
+ * Last verdict summary announced (repeats are not re-announced)
+ */
+let lastVerdictAnnouncement = '';
+
+/**
+ * Announce valuation verdicts for the selected model(s) when they change
+ * @param {Object} calculations - All model calculations
+ */
+function announceVerdicts(calculations) {
+  const modelKeys = state.selectedModel === 'all' ? MODEL_KEYS : [state.selectedModel];
+  const verdicts = modelKeys
+    .filter(modelKey => calculations[modelKey].verdict)
+    .map(modelKey => `${getModelMetadata(modelKey).name} ${calculations[modelKey].verdict.verdict}`);
+  
+  const announcement = verdicts.length > 0
+    ? `At market price ${formatCurrency(state.marketPrice)}: ${verdicts.join(', ')}.`
+    : '';
+  
+  if (announcement && announcement !== lastVerdictAnnouncement) {
+    announceToScreenReader(announcement);
+  }
+  
+  lastVerdictAnnouncement = announcement;
+}
+
 // =============================================================================
-// MODEL SELECTOR
+// REQUIRED RETURN (DIRECT / CAPM BUILD-UP)
 // =============================================================================
 
 /**
- * Set up model selector buttons
+ * Inputs used to build up the required return in CAPM mode
  */
-function setupModelSelector() {
-  const modelButtons = [
-    { id: 'model-all-btn', model: 'all' },
-    { id: 'model-constant-btn', model: 'constant' },
-    { id: 'model-growth-btn', model: 'growth' },
-    { id: 'model-changing-btn', model: 'changing' }
+const CAPM_FIELDS = ['riskFree', 'beta', 'equityPremium', 'sizePremium'];
+
+/**
+ * Set up direct/CAPM required return toggle
+ */
+function setupRequiredMode() {
+  const modes = [
+    { id: 'required-direct-btn', mode: 'direct' },
+    { id: 'required-capm-btn', mode: 'capm' }
   ];
   
-  modelButtons.forEach(({ id, model }) => {
+  modes.forEach(({ id, mode }) => {
     const btn = $(`#${id}`);
     if (!btn) return;
     
-    listen(btn, 'click', () => selectModel(model));
+    listen(btn, 'click', () => {
+      modes.forEach(other => {
+        const otherBtn = $(`#${other.id}`);
+        otherBtn.classList.toggle('active', other.mode === mode);
+        otherBtn.setAttribute('aria-pressed', String(other.mode === mode));
+      });
+      
+      setRequiredMode(mode);
+    });
   });
 }
 
 /**
- * Select a model and update UI
- * @param {string} model - Model identifier
+ * Switch required return entry mode
+ * Both the direct value and the CAPM inputs are kept, so switching back and forth loses nothing
+ * @param {string} mode - 'direct' or 'capm'
  */
-function selectModel(model) {
-  // Update button states
-  const allButtons = document.querySelectorAll('.model-btn');
-  allButtons.forEach(btn => {
-    const btnModel = btn.getAttribute('data-model');
-    if (btnModel === model) {
-      btn.classList.add('active');
-      btn.setAttribute('aria-pressed', 'true');
+function setRequiredMode(mode) {
+  if (mode === state.requiredMode) return;
+  
+  const requiredInput = $('#required');
+  const panel = $('#capm-panel');
+  const errors = { ...state.errors };
+  
+  panel.hidden = mode !== 'capm';
+  requiredInput.readOnly = mode === 'capm';
+  
+  if (mode === 'capm') {
+    // Remember the direct value, then check the CAPM inputs it will be built from
+    CAPM_FIELDS.forEach(field => {
+      const error = validateField(field, state[field]);
+      updateFieldError(field, error);
+      if (error) {
+        errors[field] = error;
+      } else {
+        delete errors[field];
+      }
+    });
+    
+    setState({ requiredMode: mode, directRequired: state.required, errors });
+    applyCapmRequired();
+    announceToScreenReader('Required return built up from CAPM inputs');
+  } else {
+    // CAPM inputs are hidden and no longer used, so their errors no longer apply
+    CAPM_FIELDS.forEach(field => {
+      updateFieldError(field, null);
+      delete errors[field];
+    });
+    
+    const required = state.directRequired;
+    const error = validateField('required', required);
+    requiredInput.value = required;
+    updateFieldError('required', error);
+    if (error) {
+      errors.required = error;
     } else {
-      btn.classList.remove('active');
-      btn.setAttribute('aria-pressed', 'false');
+      delete errors.required;
     }
-  });
+    revalidateDependents('required', { ...state, required }, errors);
+    
+    setState({ requiredMode: mode, required, errors });
+    announceToScreenReader(`Required return entered directly: ${required}%`);
+  }
   
-  // Update state
-  setState({ selectedModel: model });
+  if (state.growthMode === 'fundamentals') {
+    applyFundamentalsGrowth();
+  }
   
-  // Announce change
-  const modelNames = {
-    'all': 'All models',
-    'constant': 'Constant dividend model',
-    'growth': 'Constant growth model',
-    'changing': 'Changing growth model'
-  };
-  announceToScreenReader(`${modelNames[model]} selected`);
+  updateValidationSummary(state.errors);
+  updateCalculations();
+  recordHistory();
 }
 
-// =============================================================================
-// VIEW TOGGLE (CHART/TABLE)
-// =============================================================================
-
 /**
- * Set up chart/table view toggle
+ * Derive the required return from the CAPM inputs and write it to the required field
+ * Leaves the required return unchanged while any CAPM input is invalid
  */
-function setupViewToggle() {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
+function applyCapmRequired() {
+  const resultEl = $('#capm-result');
   
-  if (!chartBtn || !tableBtn) {
-    console.error('Toggle buttons not found');
+  if (CAPM_FIELDS.some(field => state.errors[field])) {
+    setText(resultEl, 'Correct the CAPM inputs to update the required return.');
     return;
   }
   
-  listen(chartBtn, 'click', () => switchView('chart'));
-  listen(tableBtn, 'click', () => switchView('table'));
+  const { riskFree, beta, equityPremium, sizePremium } = state;
+  const required = calculateCapmRequired(state);
+  const premium = Number.isFinite(sizePremium) ? sizePremium : 0;
+  
+  $('#required').value = required;
+  
+  const errors = { ...state.errors };
+  const error = validateField('required', required);
+  updateFieldError('required', error);
+  if (error) {
+    errors.required = `CAPM required return of ${required}%: ${error}`;
+  } else {
+    delete errors.required;
+  }
+  revalidateDependents('required', { ...state, required }, errors);
+  
+  setState({ required, errors });
+  
+  setText(resultEl,
+    `r = ${riskFree}% + ${beta} × ${equityPremium}% + ${premium}% = ${required}%`
+  );
 }
 
+// =============================================================================
+// GROWTH RATE (DIRECT / FUNDAMENTALS)
+// =============================================================================
+
 /**
- * Switch between chart and table views
- * @param {string} view - 'chart' or 'table'
+ * Inputs used to derive sustainable growth in fundamentals mode
  */
-function switchView(view) {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
-  const chartContainer = $('#chart-container');
-  const tableContainer = $('#table-container');
-  const legend = $('#chart-legend');
+const FUNDAMENTALS_FIELDS = ['roe', 'earningsRatio'];
+
+/**
+ * Growth inputs replaced by the derived rate in fundamentals mode
+ */
+const DERIVED_GROWTH_FIELDS = ['gConst', 'gLong'];
+
+/**
+ * Set up direct/fundamentals growth toggle and payout/retention selector
+ */
+function setupGrowthMode() {
+  const modes = [
+    { id: 'growth-direct-btn', mode: 'direct' },
+    { id: 'growth-fundamentals-btn', mode: 'fundamentals' }
+  ];
   
-  // Update state
-  setState({ viewMode: view });
+  modes.forEach(({ id, mode }) => {
+    const btn = $(`#${id}`);
+    if (!btn) return;
+    
+    listen(btn, 'click', () => {
+      modes.forEach(other => {
+        const otherBtn = $(`#${other.id}`);
+        otherBtn.classList.toggle('active', other.mode === mode);
+        otherBtn.setAttribute('aria-pressed', String(other.mode === mode));
+      });
+      
+      setGrowthMode(mode);
+    });
+  });
   
-  // Update button states
-  if (view === 'chart') {
-    chartBtn.classList.add('active');
-    chartBtn.setAttribute('aria-pressed', 'true');
-    tableBtn.classList.remove('active');
-    tableBtn.setAttribute('aria-pressed', 'false');
-    
-    // Show chart, hide table
-    chartContainer.style.display = 'block';
-    tableContainer.style.display = 'none';
-    legend.style.display = 'flex';
+  const ratioTypeSelect = $('#ratioType');
+  if (!ratioTypeSelect) return;
+  
+  listen(ratioTypeSelect, 'change', () => {
+    const ratioType = ratioTypeSelect.value;
+    const labelText = ratioLabel(ratioType);
     
-    // Announce change
-    announceToScreenReader('Chart view active');
+    // Convert the entered ratio so the derived growth rate is unchanged
+    const earningsRatio = Number.isFinite(state.earningsRatio)
+      ? Math.round((100 - state.earningsRatio) * 1e6) / 1e6
+      : state.earningsRatio;
     
-    // Focus chart container
-    focusElement(chartContainer, 100);
+    $('#earningsRatio').value = Number.isFinite(earningsRatio) ? earningsRatio : '';
+    setText($('#earningsRatio-label'), labelText);
+    setState({ ratioType, earningsRatio });
     
-    // Re-render chart
-    if (state.calculations) {
-      const showLabels = shouldShowLabels();
-      renderChart(state.calculations, state.selectedModel, showLabels);
+    if (state.growthMode === 'fundamentals') {
+      applyFundamentalsGrowth();
     }
     
-  } else {
-    tableBtn.classList.add('active');
-    tableBtn.setAttribute('aria-pressed', 'true');
-    chartBtn.classList.remove('active');
-    chartBtn.setAttribute('aria-pressed', 'false');
-    
-    // Show table, hide chart
-    tableContainer.style.display = 'block';
-    chartContainer.style.display = 'none';
-    legend.style.display = 'none';
+    announceToScreenReader(`${labelText} entered`);
+    recordHistory();
+  });
+}
+
+/**
+ * Label for the earnings ratio field
+ * @param {string} ratioType - 'payout' or 'retention'
+ * @returns {string} Label text
+ */
+function ratioLabel(ratioType) {
+  return ratioType === 'payout' ? 'Payout Ratio' : 'Retention Ratio (b)';
+}
+
+/**
+ * Switch growth rate entry mode
+ * Both the direct rates and the fundamentals are kept, so switching back and forth loses nothing
+ * @param {string} mode - 'direct' or 'fundamentals'
+ */
+function setGrowthMode(mode) {
+  if (mode === state.growthMode) return;
+  
+  const panel = $('#fundamentals-panel');
+  const errors = { ...state.errors };
+  
+  panel.hidden = mode !== 'fundamentals';
+  DERIVED_GROWTH_FIELDS.forEach(field => {
+    $(`#${field}`).readOnly = mode === 'fundamentals';
+  });
+  showSimulationTies(mode);
+  
+  if (mode === 'fundamentals') {
+    // Remember the direct rates, then check the fundamentals they will be derived from
+    FUNDAMENTALS_FIELDS.forEach(field => {
+      const error = validateField(field, state[field]);
+      updateFieldError(field, error);
+      if (error) {
+        errors[field] = error;
+      } else {
+        delete errors[field];
+      }
+    });
     
-    // Announce change
-    announceToScreenReader('Table view active');
+    setState({
+      growthMode: mode,
+      directGrowth: { gConst: state.gConst, gLong: state.gLong },
+      errors
+    });
+    applyFundamentalsGrowth();
+    announceToScreenReader('Growth rates derived from ROE and retention ratio');
+  } else {
+    // Fundamentals are hidden and no longer used, so their errors no longer apply
+    FUNDAMENTALS_FIELDS.forEach(field => {
+      updateFieldError(field, null);
+      delete errors[field];
+    });
     
-    // Focus table
-    focusElement($('#data-table-element'), 100);
+    const restored = { ...state.directGrowth };
+    DERIVED_GROWTH_FIELDS.forEach(field => {
+      const error = validateField(field, restored[field], state);
+      $(`#${field}`).value = restored[field];
+      updateFieldError(field, error);
+      if (error) {
+        errors[field] = error;
+      } else {
+        delete errors[field];
+      }
+    });
     
-    // Destroy chart to save resources
-    destroyChart();
+    setState({ growthMode: mode, ...restored, errors });
+    announceToScreenReader('Growth rates entered directly');
   }
+  
+  updateValidationSummary(state.errors);
+  updateCalculations();
+  recordHistory();
 }
 
-// =============================================================================
-// RENDERING
-// =============================================================================
-
 /**
- * Handle state changes and update UI
- * @param {Object} newState - Updated state
+ * Derive sustainable growth (g = ROE × b) and write it to the growth fields
+ * Flags the derivation when the derived rate is not below required return
  */
-function handleStateChange(newState) {
-  const { calculations, viewMode, selectedModel } = newState;
+function applyFundamentalsGrowth() {
+  const resultEl = $('#fundamentals-result');
   
-  if (!calculations) {
-    // Clear displays if no calculations
+  if (FUNDAMENTALS_FIELDS.some(field => state.errors[field])) {
+    resultEl.classList.remove('violation');
+    setText(resultEl, 'Correct the fundamentals inputs to update the growth rates.');
     return;
   }
   
-  // Update results section
-  renderResults(calculations, selectedModel);
+  const { retention, growth } = calculateSustainableGrowth(state);
+  const errors = { ...state.errors };
   
-  // Update chart if in chart view
-  if (viewMode === 'chart') {
-    const showLabels = shouldShowLabels();
-    renderChart(calculations, selectedModel, showLabels);
-  }
+  DERIVED_GROWTH_FIELDS.forEach(field => {
+    $(`#${field}`).value = growth;
+    
+    const error = validateField(field, growth, state);
+    updateFieldError(field, error);
+    if (error) {
+      errors[field] = `Derived growth (ROE × b) of ${growth}%: ${error}`;
+    } else {
+      delete errors[field];
+    }
+  });
   
-  // Update table if in table view
-  if (viewMode === 'table') {
-    renderTable(calculations, selectedModel);
+  setState({ gConst: growth, gLong: growth, errors });
+  
+  let message = `g = ROE × b = ${state.roe}% × ${retention}% = ${growth}%`;
+  const violation = growth >= state.required;
+  if (violation) {
+    message += `. This is not below the required return of ${state.required}%, so the growth models have no valid price.`;
   }
+  
+  resultEl.classList.toggle('violation', violation);
+  setText(resultEl, message);
 }
 
 // =============================================================================
-// WINDOW RESIZE HANDLING
+// DIVIDEND (DIRECT / EARNINGS-DRIVEN)
 // =============================================================================
 
 /**
- * Set up window resize listener for responsive chart labels
+ * Inputs used to build dividends from earnings in earnings mode
  */
-function setupResizeListener() {
-  let resizeTimeout;
+const EARNINGS_FIELDS = ['eps', 'payoutHigh', 'payoutMature'];
+
+/**
+ * Set up direct/earnings-driven dividend toggle
+ */
+function setupDividendMode() {
+  const modes = [
+    { id: 'dividend-direct-btn', mode: 'direct' },
+    { id: 'dividend-earnings-btn', mode: 'earnings' }
+  ];
   
-  listen(window, 'resize', () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      if (state.viewMode === 'chart' && state.calculations) {
-        const showLabels = shouldShowLabels();
-        renderChart(state.calculations, state.selectedModel, showLabels);
-      }
-    }, 250);
+  modes.forEach(({ id, mode }) => {
+    const btn = $(`#${id}`);
+    if (!btn) return;
+    
+    listen(btn, 'click', () => {
+      modes.forEach(other => {
+        const otherBtn = $(`#${other.id}`);
+        otherBtn.classList.toggle('active', other.mode === mode);
+        otherBtn.setAttribute('aria-pressed', String(other.mode === mode));
+      });
+      
+      setDividendMode(mode);
+    });
   });
 }
 
-// =============================================================================
-// SELF-TESTS
-// =============================================================================
-
 /**
- * Run self-tests to verify calculations
+ * Switch dividend entry mode
+ * Both the direct dividend and the earnings inputs are kept, so switching back and forth loses nothing
+ * @param {string} mode - 'direct' or 'earnings'
  */
-function runSelfTests() {
-  console.log('Running self-tests...');
+function setDividendMode(mode) {
+  if (mode === state.dividendMode) return;
   
-  const tests = [
-    {
-      name: 'Constant dividend model - basic',
-      inputs: { D0: 5, required: 0.1, gConst: 0, gShort: 0, gLong: 0, shortYears: 5 },
-      expected: { constant: 50 }
-    },
-    {
-      name: 'Gordon growth model - basic',
-      inputs: { D0: 4, required: 0.1, gConst: 0.05, gShort: 0.05, gLong: 0.03, shortYears: 5 },
-      expected: { growth: 84 } // D1 = 4.2, (4.2 / 0.05) = 84
-    },
-    {
-      name: 'Growth must be less than required return',
-      inputs: { D0: 5, required: 0.05, gConst: 0.1, gShort: 0.1, gLong: 0.1, shortYears: 5 },
-      expected: { constantInvalid: true, growthInvalid: true, changingInvalid: true }
-    }
-  ];
+  const dividendInput = $('#D0');
+  const panel = $('#earnings-panel');
+  const errors = { ...state.errors };
   
-  tests.forEach(test => {
-    try {
-      const result = calculateAllModels(test.inputs);
-      
+  panel.hidden = mode !== 'earnings';
+  dividendInput.readOnly = mode === 'earnings';
+  
+  if (mode === 'earnings') {
+    // Remember the direct dividend, then check the earnings inputs it will be built from
+    EARNINGS_FIELDS.forEach(field => {
+      const error = validateField(field, state[field]);
+      updateFieldError(field, error);
+      if (error) {
+        errors[field] = error;
+      } else {
+        delete errors[field];
+      }
+    });
+    
+    setState({ dividendMode: mode, directD0: state.D0, errors });
+    applyEarningsDividend();
+    announceToScreenReader('Dividends built from earnings per share and payout ratios');
+  } else {
+    // Earnings inputs are hidden and no longer used, so their errors no longer apply
+    EARNINGS_FIELDS.forEach(field => {
+      updateFieldError(field, null);
+      delete errors[field];
+    });
+    
+    const D0 = state.directD0;
+    const error = validateField('D0', D0);
+    dividendInput.value = D0;
+    updateFieldError('D0', error);
+    if (error) {
+      errors.D0 = error;
+    } else {
+      delete errors.D0;
+    }
+    
+    setState({ dividendMode: mode, D0, errors });
+    announceToScreenReader(`Current dividend entered directly: ${formatCurrency(D0)}`);
+  }
+  
+  updateValidationSummary(state.errors);
+  updateCalculations();
+  recordHistory();
+}
+
+/**
+ * Derive the current dividend (D₀ = E₀ × high-growth payout) and write it to the dividend field
+ * Leaves the dividend unchanged while any earnings input is invalid
+ */
+function applyEarningsDividend() {
+  const resultEl = $('#earnings-result');
+  
+  if (EARNINGS_FIELDS.some(field => state.errors[field])) {
+    setText(resultEl, 'Correct the earnings inputs to update the dividends.');
+    return;
+  }
+  
+  const { eps, payoutHigh, payoutMature } = state;
+  const D0 = Math.round(eps * payoutHigh / 100 * 1e6) / 1e6;
+  
+  $('#D0').value = D0;
+  
+  const errors = { ...state.errors };
+  const error = validateField('D0', D0);
+  updateFieldError('D0', error);
+  if (error) {
+    errors.D0 = `Derived dividend (E₀ × payout) of ${formatCurrency(D0)}: ${error}`;
+  } else {
+    delete errors.D0;
+  }
+  
+  setState({ D0, errors });
+  
+  setText(resultEl,
+    `D₀ = ${formatCurrency(eps)} × ${payoutHigh}% = ${formatCurrency(D0)}. ` +
+    `Payout moves to ${payoutMature}% after the high growth period.`
+  );
+}
+
+/**
+ * Describe what an input is derived from when an alternative entry mode is active
+ * @param {string} field - Input field
+ * @returns {string|null} Source description, or null when the input is entered directly
+ */
+function getDerivedSource(field) {
+  if (field === 'required' && state.requiredMode === 'capm') {
+    return 'the CAPM inputs';
+  }
+  if (DERIVED_GROWTH_FIELDS.includes(field) && state.growthMode === 'fundamentals') {
+    return 'ROE and the retention ratio';
+  }
+  if (field === 'D0' && state.dividendMode === 'earnings') {
+    return 'EPS and the payout ratio';
+  }
+  return null;
+}
+
+// =============================================================================
+// GOAL SEEK
+// =============================================================================
+
+/**
+ * Set up goal-seek panel (solve one input for a target price)
+ */
+function setupGoalSeek() {
+  const solveBtn = $('#goal-seek-solve-btn');
+  const applyBtn = $('#goal-seek-apply-btn');
+  
+  if (!solveBtn || !applyBtn) return;
+  
+  let solution = null;
+  
+  listen(solveBtn, 'click', () => {
+    const field = $('#goal-seek-field').value;
+    const modelKey = $('#goal-seek-model').value;
+    const targetPrice = parseFloat($('#goal-seek-target').value);
+    
+    solution = runGoalSeek(field, modelKey, targetPrice);
+    applyBtn.disabled = !solution;
+  });
+  
+  listen(applyBtn, 'click', () => {
+    if (!solution) return;
+    
+    const input = $(`#${solution.field}`);
+    input.value = solution.value;
+    input.dispatchEvent(new Event('change'));
+    
+    const rules = getValidationRule(solution.field);
+    announceToScreenReader(`${rules.label} set to ${rules.formatValue(solution.value)}`);
+    
+    solution = null;
+    applyBtn.disabled = true;
+  });
+}
+
+/**
+ * Solve an input for a target price and display the outcome
+ * @param {string} field - Input field to solve for
+ * @param {string} modelKey - Model identifier
+ * @param {number} targetPrice - Desired model price
+ * @returns {Object|null} { field, value } if solved, otherwise null
+ */
+function runGoalSeek(field, modelKey, targetPrice) {
+  const resultEl = $('#goal-seek-result');
+  const rules = getValidationRule(field);
+  const metadata = getModelMetadata(modelKey);
+  
+  if (getInvalidInputs(modelKey).length > 0) {
+    resultEl.classList.add('no-solution');
+    setText(resultEl, `Correct the inputs the ${metadata.name} depends on before running goal seek.`);
+    return null;
+  }
+  
+  const derivedFrom = getDerivedSource(field);
+  if (derivedFrom) {
+    resultEl.classList.add('no-solution');
+    setText(resultEl, `${rules.label} is derived from ${derivedFrom}. Switch to direct entry to solve for it.`);
+    return null;
+  }
+  
+  const priceAt = (value) => calculateModel(modelKey, toModelParams({ ...state, [field]: value })).price;
+  const { value, price, error } = goalSeek(priceAt, targetPrice, {
+    min: rules.min,
+    max: rules.max,
+    integer: field === 'shortYears'
+  });
+  
+  if (error) {
+    resultEl.classList.add('no-solution');
+    setText(resultEl, `No solution in range (${rules.formatValue(rules.min)} to ${rules.formatValue(rules.max)}): ${error}.`);
+    return null;
+  }
+  
+  // Round to the input's precision so applying it reproduces the reported price
+  const rounded = field === 'shortYears' ? value : Math.round(value * 100) / 100;
+  const roundedPrice = priceAt(rounded);
+  
+  resultEl.classList.remove('no-solution');
+  setText(resultEl,
+    `${rules.label} of ${rules.formatValue(rounded)} gives a ${metadata.name} price of ` +
+    `${formatCurrency(isFinite(roundedPrice) ? roundedPrice : price)}.`
+  );
+  
+  return { field, value: rounded };
+}
+
+// =============================================================================
+// SCENARIOS
+// =============================================================================
+
+/**
+ * Scenarios saved in this browser (kept in sync with localStorage)
+ */
+let savedScenarios = [];
+
+/**
+ * Entry mode toggles: state key, button id prefix and the modes offered
+ */
+const ENTRY_MODE_TOGGLES = [
+  { key: 'requiredMode', prefix: 'required', modes: ['direct', 'capm'] },
+  { key: 'growthMode', prefix: 'growth', modes: ['direct', 'fundamentals'] },
+  { key: 'dividendMode', prefix: 'dividend', modes: ['direct', 'earnings'] }
+];
+
+/**
+ * Show entry modes in the toggles, panels and read-only fields
+ * Nothing is derived here; applyInputs re-derives values afterwards
+ * @param {Object} inputs - { requiredMode, growthMode, dividendMode, ratioType }
+ */
+function showEntryModes(inputs) {
+  ENTRY_MODE_TOGGLES.forEach(({ key, prefix, modes }) => {
+    modes.forEach(mode => {
+      const btn = $(`#${prefix}-${mode}-btn`);
+      if (!btn) return;
+      btn.classList.toggle('active', inputs[key] === mode);
+      btn.setAttribute('aria-pressed', String(inputs[key] === mode));
+    });
+  });
+  
+  $('#capm-panel').hidden = inputs.requiredMode !== 'capm';
+  $('#required').readOnly = inputs.requiredMode === 'capm';
+  
+  $('#fundamentals-panel').hidden = inputs.growthMode !== 'fundamentals';
+  DERIVED_GROWTH_FIELDS.forEach(field => {
+    $(`#${field}`).readOnly = inputs.growthMode === 'fundamentals';
+  });
+  showSimulationTies(inputs.growthMode);
+  $('#ratioType').value = inputs.ratioType;
+  setText($('#earningsRatio-label'), ratioLabel(inputs.ratioType));
+  
+  $('#earnings-panel').hidden = inputs.dividendMode !== 'earnings';
+  $('#D0').readOnly = inputs.dividendMode === 'earnings';
+}
+
+/**
+ * Validate a complete input set as the state would hold it
+ * @param {Object} inputs - Scenario inputs (blank numeric inputs are null)
+ * @returns {Object} { values, errors } (values with blank inputs as NaN)
+ */
+function validateInputSet(inputs) {
+  const values = { ...inputs, directGrowth: { ...inputs.directGrowth } };
+  
+  // A blank field is NaN in state, as when it is cleared by hand
+  INPUT_FIELDS.forEach(field => {
+    if (values[field] === null) {
+      values[field] = NaN;
+    }
+  });
+  
+  // Inputs of entry modes not in use are hidden, so their errors do not apply
+  const errors = validateAllInputs(values);
+  const unused = [
+    ...(values.requiredMode === 'capm' ? [] : CAPM_FIELDS),
+    ...(values.growthMode === 'fundamentals' ? [] : FUNDAMENTALS_FIELDS),
+    ...(values.dividendMode === 'earnings' ? [] : EARNINGS_FIELDS)
+  ];
+  unused.forEach(field => delete errors[field]);
+  
+  return { values, errors };
+}
+
+/**
+ * Replace every input with a complete input set (a scenario, or any other snapshot)
+ * Fields, entry modes and model selection are updated, then everything is re-validated
+ * @param {Object} inputs - Scenario inputs (blank numeric inputs are null)
+ * @param {boolean} announce - Whether to announce the model selection (not on undo/redo, which announce the step)
+ */
+function applyInputs(inputs, announce = true) {
+  const { values, errors } = validateInputSet(inputs);
+  
+  INPUT_FIELDS.forEach(field => {
+    const input = $(`#${field}`);
+    if (input) {
+      input.value = inputs[field] === null ? '' : inputs[field];
+    }
+  });
+  
+  showEntryModes(values);
+  
+  INPUT_FIELDS.forEach(field => updateFieldError(field, errors[field] || null));
+  
+  setState({ ...values, errors });
+  
+  // Derived values are rebuilt from their sources (required return first: growth is checked against it)
+  if (values.requiredMode === 'capm') {
+    applyCapmRequired();
+  }
+  if (values.dividendMode === 'earnings') {
+    applyEarningsDividend();
+  }
+  if (values.growthMode === 'fundamentals') {
+    applyFundamentalsGrowth();
+  }
+  
+  selectModel(values.selectedModel, announce);
+  updateValidationSummary(state.errors);
+  updateCalculations();
+}
+
+/**
+ * Set up the scenario manager (save, load, duplicate, rename, delete, export, import)
+ */
+function setupScenarios() {
+  const nameInput = $('#scenario-name');
+  const list = $('#scenario-list');
+  const fileInput = $('#scenario-import-file');
+  
+  if (!nameInput || !list || !fileInput) return;
+  
+  savedScenarios = loadSavedScenarios();
+  renderScenarioList();
+  
+  listen(list, 'change', () => {
+    const scenario = getSelectedScenario();
+    if (scenario) {
+      nameInput.value = scenario.name;
+    }
+    updateScenarioButtons();
+  });
+  
+  listen($('#scenario-save-btn'), 'click', () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      showScenarioStatus('Enter a name to save the current inputs.', true);
+      return;
+    }
+    
+    const existing = savedScenarios.find(scenario => scenario.name === name);
+    const scenario = createScenario(name, state);
+    
+    if (existing) {
+      savedScenarios = savedScenarios.map(other => other === existing ? { ...scenario, id: existing.id } : other);
+    } else {
+      savedScenarios = [...savedScenarios, scenario];
+    }
+    
+    persistScenarios(existing ? `Updated scenario "${name}".` : `Saved scenario "${name}".`, existing ? existing.id : scenario.id);
+  });
+  
+  listen($('#scenario-load-btn'), 'click', () => {
+    const scenario = getSelectedScenario();
+    if (!scenario) return;
+    
+    applyInputs(scenario.inputs);
+    recordHistory();
+    showScenarioStatus(`Loaded scenario "${scenario.name}".`);
+  });
+  
+  listen($('#scenario-duplicate-btn'), 'click', () => {
+    const scenario = getSelectedScenario();
+    if (!scenario) return;
+    
+    const copy = copyScenario(scenario, uniqueName(scenario.name, savedScenarios));
+    savedScenarios = [...savedScenarios, copy];
+    nameInput.value = copy.name;
+    persistScenarios(`Duplicated "${scenario.name}" as "${copy.name}".`, copy.id);
+  });
+  
+  listen($('#scenario-rename-btn'), 'click', () => {
+    const scenario = getSelectedScenario();
+    if (!scenario) return;
+    
+    const name = nameInput.value.trim();
+    if (!name || name === scenario.name) {
+      showScenarioStatus('Type a new name in the Name field, then choose Rename.', true);
+      return;
+    }
+    if (savedScenarios.some(other => other.name === name)) {
+      showScenarioStatus(`Another scenario is already named "${name}".`, true);
+      return;
+    }
+    
+    savedScenarios = savedScenarios.map(other => other === scenario ? { ...other, name } : other);
+    persistScenarios(`Renamed "${scenario.name}" to "${name}".`, scenario.id);
+  });
+  
+  listen($('#scenario-delete-btn'), 'click', () => {
+    const scenario = getSelectedScenario();
+    if (!scenario || !window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+    
+    savedScenarios = savedScenarios.filter(other => other !== scenario);
+    persistScenarios(`Deleted scenario "${scenario.name}".`);
+  });
+  
+  listen($('#scenario-export-btn'), 'click', () => {
+    if (savedScenarios.length === 0) {
+      showScenarioStatus('There are no saved scenarios to export.', true);
+      return;
+    }
+    
+    downloadFile(exportScenarios(savedScenarios), 'ddm-scenarios.json', 'application/json');
+    
+    showScenarioStatus(`Exported ${savedScenarios.length} ${savedScenarios.length === 1 ? 'scenario' : 'scenarios'}.`);
+  });
+  
+  listen($('#scenario-import-btn'), 'click', () => fileInput.click());
+  
+  listen(fileInput, 'change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    
+    const { scenarios, error } = importScenarios(await file.text());
+    if (error) {
+      showScenarioStatus(`Could not import ${file.name}: ${error}.`, true);
+      return;
+    }
+    
+    // Imported scenarios are added alongside the saved ones, renamed if a name is taken
+    scenarios.forEach(scenario => {
+      savedScenarios = [...savedScenarios, copyScenario(scenario, uniqueName(scenario.name, savedScenarios))];
+    });
+    
+    persistScenarios(`Imported ${scenarios.length} ${scenarios.length === 1 ? 'scenario' : 'scenarios'} from ${file.name}.`);
+  });
+}
+
+/**
+ * Scenario selected in the saved list
+ * @returns {Object|undefined} Scenario
+ */
+function getSelectedScenario() {
+  const list = $('#scenario-list');
+  return savedScenarios.find(scenario => scenario.id === list.value);
+}
+
+/**
+ * Save the scenario list to localStorage and redraw it
+ * @param {string} message - Status message on success
+ * @param {string} [selectedId] - Scenario to select afterwards
+ */
+function persistScenarios(message, selectedId) {
+  renderScenarioList(selectedId);
+  
+  if (storeScenarios(savedScenarios)) {
+    showScenarioStatus(message);
+  } else {
+    showScenarioStatus(`${message} It could not be stored in this browser, so export it to keep it.`, true);
+  }
+}
+
+/**
+ * Redraw the saved scenario list
+ * @param {string} [selectedId] - Scenario to select
+ */
+function renderScenarioList(selectedId) {
+  const list = $('#scenario-list');
+  list.innerHTML = '';
+  
+  savedScenarios.forEach(scenario => {
+    const savedAt = new Date(scenario.savedAt).toLocaleDateString('en-US');
+    list.appendChild(createElement('option', {
+      value: scenario.id,
+      selected: scenario.id === selectedId
+    }, `${scenario.name} (${savedAt})`));
+  });
+  
+  updateScenarioButtons();
+  renderComparisonOptions();
+}
+
+/**
+ * Enable the buttons that act on the selected scenario only when one is selected
+ */
+function updateScenarioButtons() {
+  const hasSelection = Boolean(getSelectedScenario());
+  
+  ['load', 'duplicate', 'rename', 'delete'].forEach(action => {
+    const btn = $(`#scenario-${action}-btn`);
+    if (btn) {
+      btn.disabled = !hasSelection;
+    }
+  });
+}
+
+/**
+ * Show the outcome of a scenario action
+ * @param {string} message - Message text
+ * @param {boolean} isError - Whether the action failed
+ */
+function showScenarioStatus(message, isError = false) {
+  const statusEl = $('#scenario-status');
+  statusEl.classList.toggle('no-solution', isError);
+  setText(statusEl, message);
+}
+
+// =============================================================================
+// SCENARIO COMPARISON
+// =============================================================================
+
+/**
+ * Name shown for the current inputs in a comparison
+ */
+const CURRENT_INPUTS_NAME = 'Current inputs';
+
+/**
+ * Set up the scenario comparison panel (on/off, model, input sets and probabilities)
+ */
+function setupComparison() {
+  const toggle = $('#comparison-enabled');
+  const modelSelect = $('#comparison-model');
+  
+  if (!toggle || !modelSelect) return;
+  
+  renderComparisonOptions();
+  
+  listen(toggle, 'change', () => {
+    setComparison({ enabled: toggle.checked });
+    announceToScreenReader(`Scenario comparison ${toggle.checked ? 'on' : 'off'}`);
+  });
+  
+  listen(modelSelect, 'change', () => setComparison({ model: modelSelect.value }));
+  
+  for (let index = 0; index < state.comparison.slots.length; index++) {
+    const scenarioSelect = $(`#comparison-scenario-${index + 1}`);
+    const weightInput = $(`#comparison-weight-${index + 1}`);
+    
+    listen(scenarioSelect, 'change', () => updateComparisonSlot(index, { source: scenarioSelect.value }));
+    
+    // A blank probability means none was given
+    listen(weightInput, 'change', () => {
+      const weight = parseFloat(weightInput.value);
+      updateComparisonSlot(index, { weight: Number.isFinite(weight) ? weight : null });
+    });
+  }
+}
+
+/**
+ * Change one comparison slot
+ * @param {number} index - Slot index
+ * @param {Object} changes - { source } and/or { weight }
+ */
+function updateComparisonSlot(index, changes) {
+  const slots = state.comparison.slots.map((slot, other) => other === index ? { ...slot, ...changes } : slot);
+  setComparison({ slots });
+}
+
+/**
+ * Update comparison settings and re-price the comparison
+ * @param {Object} changes - Comparison settings to change
+ */
+function setComparison(changes) {
+  const comparison = { ...state.comparison, ...changes };
+  setState({ comparison: { ...comparison, results: compareScenarios(comparison, state.selectedModel) } });
+}
+
+/**
+ * Price the compared model under each chosen input set
+ * The selected model is compared; in the All view, the model chosen in the panel
+ * @param {Object} settings - Comparison settings ({ enabled, model, slots })
+ * @param {string} selectedModel - Selected model ('all' or a model key)
+ * @returns {Object|null} Comparison, or null when comparison is off
+ */
+function compareScenarios({ enabled, model, slots }, selectedModel) {
+  if (!enabled) return null;
+  
+  const modelKey = selectedModel === 'all' ? model : selectedModel;
+  
+  const sets = slots.map(({ source, weight }) => {
+    let name;
+    let values;
+    let errors;
+    
+    if (source === 'current') {
+      name = CURRENT_INPUTS_NAME;
+      values = state;
+      errors = state.errors;
+    } else {
+      const scenario = savedScenarios.find(saved => saved.id === source);
+      if (!scenario) return null;
+      
+      name = scenario.name;
+      ({ values, errors } = validateInputSet(scenario.inputs));
+    }
+    
+    const invalidInputs = getInvalidInputs(modelKey, errors, values.dividendMode);
+    const invalidReason = invalidInputs.length > 0 ? invalidInputs.map(field => errors[field]).join('; ') : null;
+    
+    return { name, values, weight, invalidReason };
+  });
+  
+  return calculateComparison(sets.filter(Boolean), modelKey);
+}
+
+/**
+ * Refill the scenario choices in each comparison slot from the saved scenarios
+ * A slot whose scenario was deleted becomes unused
+ */
+function renderComparisonOptions() {
+  const slots = state.comparison.slots.map((slot, index) => {
+    const select = $(`#comparison-scenario-${index + 1}`);
+    if (!select) return slot;
+    
+    const source = slot.source === 'current' || savedScenarios.some(scenario => scenario.id === slot.source)
+      ? slot.source
+      : '';
+    
+    select.innerHTML = '';
+    select.appendChild(createElement('option', { value: '', selected: source === '' }, 'None'));
+    select.appendChild(createElement('option', { value: 'current', selected: source === 'current' }, CURRENT_INPUTS_NAME));
+    savedScenarios.forEach(scenario => {
+      select.appendChild(createElement('option', { value: scenario.id, selected: scenario.id === source }, scenario.name));
+    });
+    
+    return { ...slot, source };
+  });
+  
+  // Renamed or changed scenarios are re-priced
+  setComparison({ slots });
+}
+
+// =============================================================================
+// SHAREABLE LINKS
+// =============================================================================
+
+/**
+ * Restore inputs, model and view from the page URL
+ * Settings that are malformed or fail validation fall back to their defaults and are listed in a notice
+ */
+function restoreFromUrl() {
+  if (!window.location.search) return;
+  
+  const { inputs, viewMode, given, problems } = decodeShareQuery(window.location.search);
+  const defaults = normalizeInputs({});
+  
+  // Validate as the state will hold the values (blank inputs are NaN)
+  const values = { ...inputs };
+  INPUT_FIELDS.forEach(field => {
+    if (values[field] === null) {
+      values[field] = NaN;
+    }
+  });
+  
+  const errors = validateAllInputs(values);
+  Object.keys(errors).filter(field => given.includes(field)).forEach(field => {
+    const linkValue = inputs[field] === null ? 'blank' : inputs[field];
+    problems.push(`${errors[field]} (link value: ${linkValue}); using the default`);
+    inputs[field] = defaults[field];
+  });
+  
+  // A link value can also invalidate a field the link leaves at its default
+  // (e.g. a low required return below the default growth rate); that field shows its error
+  const { errors: remaining } = validateInputSet(inputs);
+  const reported = new Set();
+  given.forEach(field => {
+    getDependentFields(field)
+      .filter(dependent => remaining[dependent] && !given.includes(dependent) && !reported.has(dependent))
+      .forEach(dependent => {
+        reported.add(dependent);
+        problems.push(`${getValidationRule(dependent).label}: ${remaining[dependent]} ` +
+          `(default value ${inputs[dependent]} with the link's ${getValidationRule(field).label} of ${inputs[field]})`);
+      });
+  });
+  
+  applyInputs(inputs);
+  
+  if (viewMode !== state.viewMode) {
+    switchView(viewMode, false);
+  }
+  
+  showLinkNotice(problems);
+}
+
+/**
+ * Show or hide the notice listing link settings that could not be used
+ * @param {Array<string>} problems - One message per setting
+ */
+function showLinkNotice(problems) {
+  const notice = $('#link-notice');
+  const list = $('#link-notice-list');
+  
+  if (!notice || !list) return;
+  
+  list.innerHTML = '';
+  problems.forEach(problem => {
+    list.appendChild(createElement('li', {}, problem));
+  });
+  
+  notice.hidden = problems.length === 0;
+}
+
+/**
+ * Keep the URL query string in step with the inputs, model and view
+ * replaceState is used so editing does not fill the browser history
+ * @param {Object} newState - Updated state
+ */
+function syncShareUrl(newState) {
+  const query = encodeShareQuery(newState);
+  const search = query ? `?${query}` : '';
+  
+  if (search !== window.location.search) {
+    window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+  }
+}
+
+/**
+ * Set up the copy-link button and the link notice dismiss button
+ */
+function setupShareLinks() {
+  listen($('#share-link-btn'), 'click', async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      showScenarioStatus('Link to the current inputs, model and view copied.');
+    } catch (error) {
+      showScenarioStatus('The link could not be copied. Copy it from the address bar instead.', true);
+    }
+  });
+  
+  listen($('#link-notice-dismiss'), 'click', () => showLinkNotice([]));
+}
+
+// =============================================================================
+// UNDO / REDO
+// =============================================================================
+
+/**
+ * How each entry mode and the earnings ratio choice are described when restored
+ */
+const MODE_DESCRIPTIONS = {
+  requiredMode: { direct: 'required return entered directly', capm: 'required return built up from CAPM' },
+  growthMode: { direct: 'growth rates entered directly', fundamentals: 'growth rates derived from fundamentals' },
+  ratioType: { payout: 'payout ratio entered', retention: 'retention ratio entered' },
+  dividendMode: { direct: 'current dividend entered directly', earnings: 'current dividend derived from earnings' }
+};
+
+const MAX_DESCRIBED_CHANGES = 3;  // Further changes are summarised as "and N more"
+
+/**
+ * Record the current inputs in the undo history
+ * @param {string|null} key - Field that changed (quick successive edits to one field become one step)
+ */
+function recordHistory(key = null) {
+  if (recordSnapshot(captureInputs(state), key)) {
+    updateHistoryButtons();
+  }
+}
+
+/**
+ * Set up undo/redo buttons and keyboard shortcuts (Ctrl+Z, Ctrl+Shift+Z)
+ * History starts from the inputs the page opened with
+ */
+function setupHistory() {
+  resetHistory(captureInputs(state));
+  
+  listen($('#undo-btn'), 'click', () => stepHistory('undo'));
+  listen($('#redo-btn'), 'click', () => stepHistory('redo'));
+  
+  listen(document, 'keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+    
+    // Text fields (scenario name) keep the browser's own undo
+    if (e.target.matches('input[type="text"], textarea')) return;
+    
+    e.preventDefault();
+    stepHistory(e.shiftKey ? 'redo' : 'undo');
+  });
+  
+  updateHistoryButtons();
+}
+
+/**
+ * Undo or redo one step and announce what was restored
+ * @param {string} direction - 'undo' or 'redo'
+ */
+function stepHistory(direction) {
+  // An edit still waiting on the debounce becomes the step to undo
+  fieldUpdates.forEach(update => update.flush());
+  
+  const before = captureInputs(state);
+  const snapshot = direction === 'undo' ? undo() : redo();
+  
+  if (!snapshot) {
+    announceToScreenReader(`Nothing to ${direction}`);
+    return;
+  }
+  
+  applyInputs(snapshot, false);
+  updateHistoryButtons();
+  
+  const verb = direction === 'undo' ? 'Undo' : 'Redo';
+  announceToScreenReader(`${verb}: ${describeChanges(before, snapshot)}`);
+}
+
+/**
+ * Describe the inputs that differ between two snapshots, using their restored values
+ * @param {Object} before - Snapshot before the step
+ * @param {Object} after - Snapshot restored
+ * @returns {string} Description (e.g. "Required Return 12%, Constant Growth Rate 4%")
+ */
+function describeChanges(before, after) {
+  const changes = [];
+  
+  INPUT_FIELDS.forEach(field => {
+    if (before[field] === after[field]) return;
+    
+    const rules = getValidationRule(field);
+    changes.push(`${rules.label} ${after[field] === null ? 'blank' : rules.formatValue(after[field])}`);
+  });
+  
+  Object.entries(MODE_DESCRIPTIONS).forEach(([key, descriptions]) => {
+    if (before[key] !== after[key]) {
+      changes.push(descriptions[after[key]]);
+    }
+  });
+  
+  if (before.selectedModel !== after.selectedModel) {
+    changes.push(after.selectedModel === 'all' ? 'all models shown' : `${getModelMetadata(after.selectedModel).name} selected`);
+  }
+  
+  if (changes.length === 0) {
+    return 'inputs restored';
+  }
+  
+  const extra = changes.length - MAX_DESCRIBED_CHANGES;
+  return extra > 0
+    ? `${changes.slice(0, MAX_DESCRIBED_CHANGES).join(', ')} and ${extra} more`
+    : changes.join(', ');
+}
+
+/**
+ * Enable undo/redo buttons only when there is a step to take
+ */
+function updateHistoryButtons() {
+  const undoBtn = $('#undo-btn');
+  const redoBtn = $('#redo-btn');
+  
+  if (undoBtn) {
+    undoBtn.disabled = !canUndo();
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !canRedo();
+  }
+}
+
+// =============================================================================
+// MODEL SELECTOR
+// =============================================================================
+
+/**
+ * Set up model selector buttons
+ */
+function setupModelSelector() {
+  const modelButtons = [
+    { id: 'model-all-btn', model: 'all' },
+    { id: 'model-constant-btn', model: 'constant' },
+    { id: 'model-growth-btn', model: 'growth' },
+    { id: 'model-changing-btn', model: 'changing' },
+    { id: 'model-hmodel-btn', model: 'hmodel' },
+    { id: 'model-three-stage-btn', model: 'threeStage' }
+  ];
+  
+  modelButtons.forEach(({ id, model }) => {
+    const btn = $(`#${id}`);
+    if (!btn) return;
+    
+    listen(btn, 'click', () => {
+      selectModel(model);
+      recordHistory();
+    });
+  });
+}
+
+/**
+ * Select a model and update UI
+ * @param {string} model - Model identifier
+ * @param {boolean} announce - Whether to announce the selection to screen readers
+ */
+function selectModel(model, announce = true) {
+  // Update button states
+  const allButtons = document.querySelectorAll('.model-btn');
+  allButtons.forEach(btn => {
+    const btnModel = btn.getAttribute('data-model');
+    if (btnModel === model) {
+      btn.classList.add('active');
+      btn.setAttribute('aria-pressed', 'true');
+    } else {
+      btn.classList.remove('active');
+      btn.setAttribute('aria-pressed', 'false');
+    }
+  });
+  
+  // Update state (a comparison prices the newly selected model)
+  setState({
+    selectedModel: model,
+    comparison: { ...state.comparison, results: compareScenarios(state.comparison, model) }
+  });
+  
+  if (!announce) return;
+  
+  // Announce change
+  const modelNames = {
+    'all': 'All models',
+    'constant': 'Constant dividend model',
+    'growth': 'Constant growth model',
+    'changing': 'Changing growth model',
+    'hmodel': 'H-model',
+    'threeStage': 'Three-stage model'
+  };
+  announceToScreenReader(`${modelNames[model]} selected`);
+}
+
+// =============================================================================
+// VIEW TOGGLE (CHART/TABLE/SENSITIVITY)
+// =============================================================================
+
+/**
+ * Views available in the visualizer card
+ */
+const VIEWS = {
+  chart: {
+    buttonId: 'chart-view-btn',
+    containerId: 'chart-container',
+    focusId: 'chart-container',
+    label: 'Chart'
+  },
+  table: {
+    buttonId: 'table-view-btn',
+    containerId: 'table-container',
+    focusId: 'data-table-element',
+    label: 'Table'
+  },
+  sensitivity: {
+    buttonId: 'sensitivity-view-btn',
+    containerId: 'sensitivity-container',
+    focusId: 'sensitivity-table-element',
+    label: 'Sensitivity'
+  },
+  simulation: {
+    buttonId: 'simulation-view-btn',
+    containerId: 'simulation-container',
+    focusId: 'simulation-run-btn',
+    label: 'Simulation'
+  }
+};
+
+/**
+ * Set up chart/table/sensitivity view toggle
+ */
+function setupViewToggle() {
+  Object.entries(VIEWS).forEach(([view, { buttonId }]) => {
+    const btn = $(`#${buttonId}`);
+    
+    if (!btn) {
+      console.error(`Toggle button not found: ${buttonId}`);
+      return;
+    }
+    
+    listen(btn, 'click', () => switchView(view));
+  });
+  
+  setupSensitivityControls();
+  setupSimulationControls();
+}
+
+/**
+ * Switch between visualizer views
+ * @param {string} view - 'chart', 'table', 'sensitivity' or 'simulation'
+ * @param {boolean} moveFocus - Whether to focus the new view (not when opening a link)
+ */
+function switchView(view, moveFocus = true) {
+  const legend = $('#chart-legend');
+  
+  // Update button states and show only the active container
+  Object.entries(VIEWS).forEach(([key, { buttonId, containerId }]) => {
+    const btn = $(`#${buttonId}`);
+    const container = $(`#${containerId}`);
+    const isActive = key === view;
+    
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', String(isActive));
+    container.style.display = isActive ? 'block' : 'none';
+  });
+  
+  legend.style.display = view === 'chart' ? 'flex' : 'none';
+  
+  // Destroy charts to save resources when leaving their views
+  if (view !== 'chart') {
+    destroyChart();
+    destroyComparisonChart();
+  }
+  if (view !== 'simulation') {
+    destroyHistogram();
+  }
+  
+  // Update state (re-renders the active view)
+  setState({ viewMode: view });
+  
+  // Announce change
+  announceToScreenReader(`${VIEWS[view].label} view active`);
+  
+  // Focus the new view
+  if (moveFocus) {
+    focusElement($(`#${VIEWS[view].focusId}`), 100);
+  }
+}
+
+/**
+ * Set up chart/table display option checkboxes
+ */
+function setupDisplayOptions() {
+  const options = [
+    { id: 'show-terminal-value', key: 'showTerminalValue', label: 'Terminal value' },
+    { id: 'show-present-values', key: 'showPresentValues', label: 'Present value columns' },
+    { id: 'show-price-path', key: 'showPricePath', label: 'Price path' }
+  ];
+  
+  options.forEach(({ id, key, label }) => {
+    const checkbox = $(`#${id}`);
+    if (!checkbox) return;
+    
+    listen(checkbox, 'change', () => {
+      setState({ display: { ...state.display, [key]: checkbox.checked } });
+      announceToScreenReader(`${label} ${checkbox.checked ? 'shown' : 'hidden'}`);
+    });
+  });
+  
+  // Download the table, results and inputs as CSV
+  listen($('#export-csv-btn'), 'click', exportCsv);
+  
+  // Nominal vs discounted chart bars
+  const chartModes = [
+    { id: 'chart-nominal-btn', mode: 'nominal', label: 'Nominal dividends' },
+    { id: 'chart-discounted-btn', mode: 'discounted', label: 'Present values with cumulative PV' }
+  ];
+  
+  chartModes.forEach(({ id, mode, label }) => {
+    const btn = $(`#${id}`);
+    if (!btn) return;
+    
+    listen(btn, 'click', () => {
+      chartModes.forEach(other => {
+        const otherBtn = $(`#${other.id}`);
+        otherBtn.classList.toggle('active', other.mode === mode);
+        otherBtn.setAttribute('aria-pressed', String(other.mode === mode));
+      });
+      
+      setState({ display: { ...state.display, chartMode: mode } });
+      announceToScreenReader(`${label} shown in chart`);
+    });
+  });
+}
+
+/**
+ * Download the cash flows, model results and inputs for the selected model(s) as CSV
+ * Uses the model calculations, also while a scenario comparison is shown
+ */
+function exportCsv() {
+  if (!state.calculations) return;
+  
+  // The byte order mark lets spreadsheet programs read the file as UTF-8
+  downloadFile(`\uFEFF${buildCsvExport(state, state.calculations)}`, 'ddm-cash-flows.csv', 'text/csv;charset=utf-8');
+  
+  const shown = state.selectedModel === 'all' ? 'all models' : getModelMetadata(state.selectedModel).name;
+  announceToScreenReader(`CSV downloaded for ${shown}`);
+}
+
+/**
+ * Set up sensitivity grid controls (model, step sizes, grid size)
+ */
+function setupSensitivityControls() {
+  const controls = [
+    { id: 'sensitivity-model', key: 'model', parse: (value) => value },
+    { id: 'sensitivity-r-step', key: 'rStep', parse: parseFloat },
+    { id: 'sensitivity-g-step', key: 'gStep', parse: parseFloat },
+    { id: 'sensitivity-steps', key: 'steps', parse: (value) => parseInt(value, 10) }
+  ];
+  
+  controls.forEach(({ id, key, parse }) => {
+    const control = $(`#${id}`);
+    if (!control) return;
+    
+    listen(control, 'change', () => {
+      const value = parse(control.value);
+      
+      // Ignore empty or non-positive step sizes
+      if (typeof value === 'number' && !(value > 0)) return;
+      
+      setState({ sensitivity: { ...state.sensitivity, [key]: value } });
+    });
+  });
+}
+
+/**
+ * Set up Monte Carlo simulation controls
+ */
+function setupSimulationControls() {
+  const runBtn = $('#simulation-run-btn');
+  const modelSelect = $('#simulation-model');
+  
+  if (!runBtn) return;
+  
+  listen(runBtn, 'click', runMonteCarlo);
+  
+  listen(modelSelect, 'change', () => {
+    setState({ simulation: { ...state.simulation, model: modelSelect.value } });
+  });
+}
+
+/**
+ * Disable the distribution of simulated fields that take another field's draw
+ * @param {string} growthMode - 'direct' or 'fundamentals'
+ */
+function showSimulationTies(growthMode) {
+  const tied = getTiedFields(growthMode);
+  
+  SIMULATED_FIELDS.forEach(field => {
+    $(`#simulation-${field}-type`).disabled = Boolean(tied[field]);
+    $(`#simulation-${field}-spread`).disabled = Boolean(tied[field]);
+  });
+  $('#simulation-tie-note').hidden = Object.keys(tied).length === 0;
+}
+
+/**
+ * Read simulation settings, run the simulation and store the results
+ */
+function runMonteCarlo() {
+  const statusEl = $('#simulation-status');
+  const draws = parseInt($('#simulation-draws').value, 10);
+  const seed = parseInt($('#simulation-seed').value, 10);
+  
+  // Models whose inputs are invalid are left out of the run, as they are from the results
+  const invalidReasons = {};
+  MODEL_KEYS.forEach(modelKey => {
+    const invalidInputs = getInvalidInputs(modelKey);
+    if (invalidInputs.length > 0) {
+      invalidReasons[modelKey] = invalidInputs.map(field => state.errors[field]).join('; ');
+    }
+  });
+  
+  if (Object.keys(invalidReasons).length === MODEL_KEYS.length) {
+    setText(statusEl, 'Correct the input errors before running the simulation.');
+    return;
+  }
+  
+  if (!(draws >= 100 && draws <= 50000)) {
+    setText(statusEl, 'Number of draws must be between 100 and 50,000.');
+    return;
+  }
+  
+  if (!Number.isInteger(seed)) {
+    setText(statusEl, 'Seed must be a whole number.');
+    return;
+  }
+  
+  const distributions = {};
+  SIMULATED_FIELDS.forEach(field => {
+    const spread = parseFloat($(`#simulation-${field}-spread`).value);
+    distributions[field] = {
+      type: $(`#simulation-${field}-type`).value,
+      spread: spread > 0 ? spread : 0
+    };
+  });
+  
+  const results = runSimulation(state, distributions, { draws, seed, invalidReasons });
+  
+  setState({
+    simulation: {
+      ...state.simulation,
+      draws,
+      seed,
+      distributions,
+      results
+    }
+  });
+  
+  const skipped = Object.keys(invalidReasons).map(modelKey => getModelMetadata(modelKey).name);
+  let message = `Simulation complete: ${draws.toLocaleString('en-US')} draws with seed ${seed}.`;
+  if (skipped.length > 0) {
+    message += ` Not valued because of input errors: ${skipped.join(', ')}.`;
+  }
+  setText(statusEl, message);
+  announceToScreenReader(message);
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Handle state changes and update UI
+ * @param {Object} newState - Updated state
+ */
+function handleStateChange(newState) {
+  const { calculations, viewMode, selectedModel } = newState;
+  const compared = newState.comparison.results;
+  
+  if (!calculations) {
+    // Clear displays if no calculations
+    return;
+  }
+  
+  // Update results section (a scenario comparison replaces the model results)
+  if (compared) {
+    renderComparisonResults(compared);
+  } else {
+    renderResults(calculations, selectedModel);
+  }
+  
+  // Update chart if in chart view
+  if (viewMode === 'chart') {
+    renderChartView(newState);
+  }
+  
+  // Update table if in table view
+  if (viewMode === 'table') {
+    if (compared) {
+      renderComparisonTable(compared, newState.display);
+    } else {
+      renderTable(calculations, selectedModel, newState.display);
+    }
+  }
+  
+  // Update sensitivity grid if in sensitivity view
+  if (viewMode === 'sensitivity') {
+    const modelKey = selectedModel === 'all' ? newState.sensitivity.model : selectedModel;
+    const invalidInputs = getInvalidInputs(modelKey, newState.errors, newState.dividendMode);
+    const invalidReason = invalidInputs.length > 0 ? invalidInputs.map(field => newState.errors[field]).join('; ') : null;
+    renderSensitivity(newState, modelKey, newState.sensitivity, invalidReason);
+  }
+  
+  // Update simulation output if in simulation view and a run exists
+  if (viewMode === 'simulation' && newState.simulation.results) {
+    const { results, draws, seed } = newState.simulation;
+    const modelKey = selectedModel === 'all' ? newState.simulation.model : selectedModel;
+    renderSimulation(results, modelKey, { draws, seed });
+  }
+}
+
+/**
+ * Render the chart view: the scenario comparison when one is shown, otherwise the selected models
+ * Only one chart uses the canvas at a time, so the other is destroyed first
+ * @param {Object} values - Current state
+ */
+function renderChartView({ calculations, selectedModel, display, comparison }) {
+  const legend = $('#chart-legend');
+  
+  if (comparison.results) {
+    // The comparison chart has its own legend (scenarios, not models)
+    legend.style.display = 'none';
+    destroyChart();
+    renderComparisonChart(comparison.results, display);
+  } else {
+    legend.style.display = 'flex';
+    destroyComparisonChart();
+    renderChart(calculations, selectedModel, shouldShowLabels(), display);
+  }
+}
+
+// =============================================================================
+// WINDOW RESIZE HANDLING
+// =============================================================================
+
+/**
+ * Set up window resize listener for responsive chart labels
+ */
+function setupResizeListener() {
+  let resizeTimeout;
+  
+  listen(window, 'resize', () => {
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(() => {
+      if (state.viewMode === 'chart' && state.calculations) {
+        renderChartView(state);
+      }
+    }, 250);
+  });
+}
+
+// =============================================================================
+// SELF-TESTS
+// =============================================================================
+
+/**
+ * Run self-tests to verify calculations
+ */
+function runSelfTests() {
+  console.log('Running self-tests...');
+  
+  const tests = [
+    {
+      name: 'Constant dividend model - basic',
+      inputs: { D0: 5, required: 0.1, gConst: 0, gShort: 0, gLong: 0, shortYears: 5 },
+      expected: { constant: 50 }
+    },
+    {
+      name: 'Gordon growth model - basic',
+      inputs: { D0: 4, required: 0.1, gConst: 0.05, gShort: 0.05, gLong: 0.03, shortYears: 5 },
+      expected: { growth: 84 } // D1 = 4.2, (4.2 / 0.05) = 84
+    },
+    {
+      name: 'Growth must be less than required return',
+      inputs: { D0: 5, required: 0.05, gConst: 0.1, gShort: 0.1, gLong: 0.1, shortYears: 5, halfLife: 5 },
+      expected: { constantInvalid: true, growthInvalid: true, changingInvalid: true }
+    },
+    {
+      name: 'H-model - basic',
+      inputs: { D0: 2, required: 0.1, gConst: 0.05, gShort: 0.2, gLong: 0.05, shortYears: 5, halfLife: 5 },
+      expected: { hmodel: 72 } // [2(1.05) + 2(5)(0.15)] / 0.05 = 72
+    },
+    {
+      name: 'Three-stage model - equal growth rates reduce to Gordon',
+      inputs: { D0: 5, required: 0.1, gConst: 0.05, gShort: 0.05, gLong: 0.05, shortYears: 5, halfLife: 3, transitionYears: 4 },
+      expected: { threeStage: 105 } // D1 = 5.25, (5.25 / 0.05) = 105
+    },
+    {
+      name: 'Three-stage model - no transition reduces to two-stage',
+      inputs: { D0: 5, required: 0.1, gConst: 0.03, gShort: 0.08, gLong: 0.03, shortYears: 5, halfLife: 3, transitionYears: 0 },
+      expected: { changing: 90.79, threeStage: 90.79 }
+    },
+    {
+      name: 'CAPM build-up',
+      capm: { riskFree: 4, beta: 1.2, equityPremium: 5, sizePremium: 1.5 },
+      expected: { capmRequired: 11.5 } // 4 + 1.2 × 5 + 1.5 = 11.5
+    },
+    {
+      name: 'Sustainable growth from fundamentals',
+      fundamentals: { roe: 12.5, ratioType: 'payout', earningsRatio: 60 },
+      expected: { sustainableGrowth: 5 } // 12.5% × (1 − 0.6) = 5%
+    },
+    {
+      name: 'Earnings-driven changing growth with constant payout matches dividends',
+      inputs: {
+        D0: 5, required: 0.1, gConst: 0.05, gShort: 0.05, gLong: 0.03, shortYears: 5,
+        earnings: { eps: 12.5, payoutHigh: 0.4, payoutMature: 0.4 }
+      },
+      expected: { changing: 80.09 } // Same as D₀ = 12.5 × 0.4 = 5 entered directly
+    },
+    {
+      name: 'Justified P/B matches (ROE - g) / (r - g)',
+      // EPS 12.5 and D₀ 5 give payout 40%, so g = ROE × b = 12.5% × 0.6 = 7.5%
+      inputs: { D0: 5, required: 0.1, gConst: 0.075, gShort: 0.075, gLong: 0.075, shortYears: 5 },
+      earningsBasis: { eps: 12.5, roe: 0.125 },
+      expected: { priceToBook: 2 } // (0.125 - 0.075) / (0.10 - 0.075) = 2
+    },
+    {
+      name: 'Valuation verdict with tolerance band',
+      verdict: { price: 80, marketPrice: 72, tolerance: 0.05 },
+      expected: { verdict: 'undervalued', marginOfSafety: 0.1 } // (80 - 72) / 80 = 10%
+    },
+    {
+      name: 'Holding period at model price earns r',
+      inputs: { D0: 4, required: 0.1, gConst: 0.05, gShort: 0.12, gLong: 0.03, shortYears: 5, halfLife: 3, transitionYears: 3 },
+      expected: { holdingIrr: 0.1 } // Buying at intrinsic value and selling at Pₙ returns exactly r
+    },
+    {
+      name: 'Gordon price path grows at g with dividend yield r - g',
+      inputs: { D0: 5, required: 0.1, gConst: 0.05, gShort: 0.05, gLong: 0.03, shortYears: 5 },
+      expected: { gordonYields: { dividendYield: 0.05, capitalGainsYield: 0.05 } }
+    },
+    {
+      name: 'Implied required return recovers r',
+      inputs: { D0: 4, required: 0.1, gConst: 0.05, gShort: 0.12, gLong: 0.03, shortYears: 5, halfLife: 3, transitionYears: 3 },
+      expected: { impliedReturn: 0.1 }
+    },
+    {
+      name: 'Two-stage model with a declining first stage',
+      inputs: { D0: 5, required: 0.1, gConst: 0.02, gShort: -0.05, gLong: 0.02, shortYears: 5, halfLife: 3, transitionYears: 3 },
+      expected: { changing: 47.08 } // Σ 5(0.95)ᵗ/1.1ᵗ for t ≤ 5, plus D₆/(0.1 − 0.02) discounted 5 years
+    },
+    {
+      name: 'Probability-weighted value of bull, base and bear cases',
+      weighting: [
+        { name: 'Bull', weight: 25, result: { price: 60 } },
+        { name: 'Base', weight: 50, result: { price: 50 } },
+        { name: 'Bear', weight: 25, result: { price: 30 } }
+      ],
+      expected: { weightedValue: 47.5 } // 0.25 × 60 + 0.5 × 50 + 0.25 × 30 = 47.5
+    },
+    {
+      name: 'CSV export writes raw, unformatted prices',
+      csv: { D0: 4, required: 0.1, gConst: 0.05, gShort: 0.05, gLong: 0.03, shortYears: 5 },
+      expected: { csvLine: 'growth,Constant Growth Model,84,,,,,,,,,,' } // No currency symbol or rounding
+    },
+    {
+      name: 'Failures report which assumption broke the model',
+      inputs: { D0: 5, required: 0.1, gConst: 0.12, gShort: -0.02, gLong: 0.03, shortYears: 5, halfLife: 0, transitionYears: 3 },
+      expected: {
+        errorCodes: { growth: 'growth-not-below-required', hmodel: 'non-positive-half-life' }
+      }
+    }
+  ];
+  
+  tests.forEach(test => {
+    try {
+      if (test.capm) {
+        const required = calculateCapmRequired(test.capm);
+        if (Math.abs(required - test.expected.capmRequired) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.capmRequired}, got ${required}`);
+        }
+        return;
+      }
+      
+      if (test.verdict) {
+        const { price, marketPrice, tolerance } = test.verdict;
+        const { verdict, marginOfSafety } = calculateVerdict(price, marketPrice, tolerance);
+        if (verdict === test.expected.verdict && Math.abs(marginOfSafety - test.expected.marginOfSafety) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.verdict}, got ${verdict} (${marginOfSafety})`);
+        }
+        return;
+      }
+      
+      if (test.weighting) {
+        const { value } = calculateWeightedValue(test.weighting);
+        if (Math.abs(value - test.expected.weightedValue) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.weightedValue}, got ${value}`);
+        }
+        return;
+      }
+      
+      if (test.csv) {
+        const lines = buildCsvExport({ ...state, selectedModel: 'growth' }, calculateAllModels(test.csv)).split('\r\n');
+        if (lines.includes(test.expected.csvLine)) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: no line ${test.expected.csvLine}`);
+        }
+        return;
+      }
+      
+      if (test.fundamentals) {
+        const { growth } = calculateSustainableGrowth(test.fundamentals);
+        if (Math.abs(growth - test.expected.sustainableGrowth) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.sustainableGrowth}, got ${growth}`);
+        }
+        return;
+      }
+      
+      const result = calculateAllModels(test.inputs);
+      
       if (test.expected.constant !== undefined) {
         const diff = Math.abs(result.constant.price - test.expected.constant);
         if (diff <= 0.1) {
@@ -412,6 +2194,88 @@ function runSelfTests() {
         }
       }
       
+      if (test.expected.hmodel !== undefined) {
+        const diff = Math.abs(result.hmodel.price - test.expected.hmodel);
+        if (diff <= 0.1) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.hmodel}, got ${result.hmodel.price.toFixed(2)}`);
+        }
+      }
+      
+      if (test.expected.changing !== undefined) {
+        const diff = Math.abs(result.changing.price - test.expected.changing);
+        if (diff <= 0.1) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.changing}, got ${result.changing.price.toFixed(2)}`);
+        }
+      }
+      
+      if (test.expected.threeStage !== undefined) {
+        const diff = Math.abs(result.threeStage.price - test.expected.threeStage);
+        if (diff <= 0.1) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.threeStage}, got ${result.threeStage.price.toFixed(2)}`);
+        }
+      }
+      
+      if (test.expected.priceToBook !== undefined) {
+        const { priceToBook } = calculateJustifiedMultiples(result.growth, test.inputs.D0, test.earningsBasis);
+        if (Math.abs(priceToBook - test.expected.priceToBook) <= 1e-6) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.priceToBook}, got ${priceToBook}`);
+        }
+      }
+      
+      if (test.expected.gordonYields !== undefined) {
+        const { dividendYield, capitalGainsYield } = test.expected.gordonYields;
+        const passed = result.growth.cashFlows.slice(1).every(cf =>
+          Math.abs(cf.dividendYield - dividendYield) <= 1e-9 &&
+          Math.abs(cf.capitalGainsYield - capitalGainsYield) <= 1e-9
+        );
+        if (passed) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: yields differ from ${dividendYield} and ${capitalGainsYield}`);
+        }
+      }
+      
+      if (test.expected.holdingIrr !== undefined) {
+        MODEL_KEYS.forEach(modelKey => {
+          const { irr } = calculateHoldingPeriod(result[modelKey], result[modelKey].price, 5);
+          if (Math.abs(irr - test.expected.holdingIrr) <= 1e-6) {
+            console.log(`✓ ${test.name} (${modelKey}) passed`);
+          } else {
+            console.warn(`✗ ${test.name} (${modelKey}) failed: expected ${test.expected.holdingIrr}, got ${irr}`);
+          }
+        });
+      }
+      
+      if (test.expected.impliedReturn !== undefined) {
+        MODEL_KEYS.forEach(modelKey => {
+          const { required } = solveImpliedReturn(modelKey, test.inputs, result[modelKey].price);
+          if (Math.abs(required - test.expected.impliedReturn) <= 1e-6) {
+            console.log(`✓ ${test.name} (${modelKey}) passed`);
+          } else {
+            console.warn(`✗ ${test.name} (${modelKey}) failed: expected ${test.expected.impliedReturn}, got ${required}`);
+          }
+        });
+      }
+      
+      if (test.expected.errorCodes !== undefined) {
+        Object.entries(test.expected.errorCodes).forEach(([modelKey, code]) => {
+          const { error } = result[modelKey];
+          if (error && error.code === code) {
+            console.log(`✓ ${test.name} (${modelKey}) passed`);
+          } else {
+            console.warn(`✗ ${test.name} (${modelKey}) failed: expected ${code}, got ${error ? error.code : 'no error'}`);
+          }
+        });
+      }
+      
       if (test.expected.constantInvalid) {
         if (!isFinite(result.constant.price)) {
           console.log(`✓ ${test.name} (constant) passed - correctly invalid`);
@@ -437,6 +2301,8 @@ function runSelfTests() {
  */
 function cleanup() {
   destroyChart();
+  destroyComparisonChart();
+  destroyHistogram();
   console.log('Calculator cleanup complete');
 }
 
@@ -3,18 +3,163 @@
  * Pure functions for equity valuation mathematics
  */
 
-const HORIZON_YEARS = 10; // Display 10 years of dividends
+export const DEFAULT_HORIZON_YEARS = 10; // Years of dividends displayed by default
+
+/**
+ * Model identifiers in display order
+ */
+export const MODEL_KEYS = ['constant', 'growth', 'changing', 'hmodel', 'threeStage'];
+
+/**
+ * Inputs each model's price depends on when dividends are entered directly
+ * A model is calculated only when all of its inputs are valid
+ */
+export const MODEL_INPUTS = {
+  constant: ['D0', 'required', 'horizonYears'],
+  growth: ['D0', 'required', 'gConst', 'horizonYears'],
+  changing: ['D0', 'required', 'gShort', 'gLong', 'shortYears', 'horizonYears'],
+  hmodel: ['D0', 'required', 'gShort', 'gLong', 'halfLife', 'horizonYears'],
+  threeStage: ['D0', 'required', 'gShort', 'gLong', 'shortYears', 'transitionYears', 'horizonYears']
+};
+
+/**
+ * Inputs the Changing Growth Model reads in place of D0 when dividends come from earnings
+ */
+const EARNINGS_MODEL_INPUTS = ['eps', 'payoutHigh', 'payoutMature'];
+
+/**
+ * Inputs a model's price depends on in a dividend entry mode
+ * @param {string} modelKey - Model identifier
+ * @param {string} dividendMode - 'direct' or 'earnings'
+ * @returns {Array<string>} Input field names
+ */
+export function getModelInputs(modelKey, dividendMode) {
+  if (modelKey === 'changing' && dividendMode === 'earnings') {
+    return [...MODEL_INPUTS.changing.filter(field => field !== 'D0'), ...EARNINGS_MODEL_INPUTS];
+  }
+  
+  return MODEL_INPUTS[modelKey];
+}
+
+/**
+ * Perpetual growth input used by each model
+ * (null = model has no perpetual growth rate)
+ */
+export const GROWTH_FIELDS = {
+  constant: null,
+  growth: 'gConst',
+  changing: 'gLong',
+  hmodel: 'gLong',
+  threeStage: 'gLong'
+};
+
+/**
+ * Build model parameters from input values (percentages converted to decimals)
+ * @param {Object} values - Input values in UI units
+ * @returns {Object} Model input parameters
+ */
+export function toModelParams(values) {
+  const { D0, required, gConst, gShort, gLong, shortYears, halfLife, transitionYears, horizonYears } = values;
+  
+  // Earnings-driven dividends: EPS grows along the two-stage path, DPS = EPS × payout by stage
+  const earnings = values.dividendMode === 'earnings'
+    ? { eps: values.eps, payoutHigh: values.payoutHigh / 100, payoutMature: values.payoutMature / 100 }
+    : null;
+  
+  return {
+    D0,
+    required: required / 100,
+    gConst: gConst / 100,
+    gShort: gShort / 100,
+    gLong: gLong / 100,
+    shortYears,
+    halfLife,
+    transitionYears,
+    horizonYears,
+    earnings
+  };
+}
+
+/**
+ * Required return from the CAPM build-up (percentages in, percentage out)
+ * Formula: r = Rf + β × ERP + size/company-specific premium
+ * @param {Object} values - { riskFree, beta, equityPremium, sizePremium }
+ * @returns {number} Required return (percentage)
+ */
+export function calculateCapmRequired({ riskFree, beta, equityPremium, sizePremium }) {
+  const required = riskFree + beta * equityPremium + (Number.isFinite(sizePremium) ? sizePremium : 0);
+  
+  // Round away floating-point noise so the derived input reads cleanly
+  return Math.round(required * 1e6) / 1e6;
+}
+
+/**
+ * Sustainable growth rate from fundamentals (percentages in and out)
+ * Formula: g = ROE × b, where b (retention) = 1 − payout ratio
+ * @param {Object} values - { roe, ratioType ('payout' | 'retention'), earningsRatio }
+ * @returns {Object} { retention, growth } as percentages
+ */
+export function calculateSustainableGrowth({ roe, ratioType, earningsRatio }) {
+  const retention = ratioType === 'payout' ? 100 - earningsRatio : earningsRatio;
+  const growth = Math.round(roe * retention / 100 * 1e6) / 1e6;
+  
+  return { retention, growth };
+}
+
+/**
+ * Format a decimal rate for an error reason (e.g. 0.105 → "10.5%")
+ * @param {number} rate - Rate (decimal)
+ * @returns {string} Percentage text
+ */
+function formatRate(rate) {
+  return `${Math.round(rate * 1e6) / 1e4}%`;
+}
+
+/**
+ * Result for a model that cannot be priced
+ * Codes: 'non-positive-required', 'growth-not-below-required', 'non-positive-half-life',
+ * 'negative-transition-years'
+ * ('invalid-input' is used by the UI when an input the model depends on fails validation)
+ * @param {string} code - Machine-readable failure code
+ * @param {string} reason - Human-readable explanation
+ * @returns {Object} { price: NaN, cashFlows: [], error: { code, reason } }
+ */
+function failure(code, reason) {
+  return { price: NaN, cashFlows: [], error: { code, reason } };
+}
+
+/**
+ * Check the assumptions shared by every perpetual-growth model
+ * @param {number} required - Required return (decimal)
+ * @param {number|null} growth - Perpetual growth rate (decimal), or null for no growth
+ * @param {string} [growthLabel] - Name of the growth rate for the reason
+ * @returns {Object|null} Failure result, or null when the assumptions hold
+ */
+function checkPerpetuity(required, growth, growthLabel) {
+  if (required <= 0) {
+    return failure('non-positive-required',
+      `Required return (${formatRate(required)}) must be greater than 0%`);
+  }
+  
+  if (growth !== null && growth >= required) {
+    return failure('growth-not-below-required',
+      `${growthLabel} (${formatRate(growth)}) must be below the required return (${formatRate(required)})`);
+  }
+  
+  return null;
+}
 
 /**
  * Calculate constant dividend model (no growth)
  * Formula: P = D₀ / r
  * @param {Object} params - Input parameters
- * @returns {Object} Price and cash flows
+ * @returns {Object} Price and cash flows, or a failure with an error ({ code, reason })
  */
-function calculateConstantModel({ D0, required }) {
+function calculateConstantModel({ D0, required, horizonYears = DEFAULT_HORIZON_YEARS }) {
   // Validate
-  if (required <= 0) {
-    return { price: NaN, cashFlows: [] };
+  const invalid = checkPerpetuity(required, null);
+  if (invalid) {
+    return invalid;
   }
   
   const price = D0 / required;
@@ -27,8 +172,8 @@ function calculateConstantModel({ D0, required }) {
     dividend: -price
   });
   
-  // Years 1-10: Constant dividends
-  for (let year = 1; year <= HORIZON_YEARS; year++) {
+  // Years 1-N: Constant dividends
+  for (let year = 1; year <= horizonYears; year++) {
     cashFlows.push({
       year,
       yearLabel: year.toString(),
@@ -43,12 +188,13 @@ function calculateConstantModel({ D0, required }) {
  * Calculate constant growth model (Gordon Growth Model)
  * Formula: P = D₁ / (r - g) = D₀(1 + g) / (r - g)
  * @param {Object} params - Input parameters
- * @returns {Object} Price and cash flows
+ * @returns {Object} Price and cash flows, or a failure with an error ({ code, reason })
  */
-function calculateGrowthModel({ D0, required, gConst }) {
+function calculateGrowthModel({ D0, required, gConst, horizonYears = DEFAULT_HORIZON_YEARS }) {
   // Validate: growth rate must be less than required return
-  if (gConst >= required || required <= 0) {
-    return { price: NaN, cashFlows: [] };
+  const invalid = checkPerpetuity(required, gConst, 'Growth rate');
+  if (invalid) {
+    return invalid;
   }
   
   const D1 = D0 * (1 + gConst);
@@ -62,8 +208,8 @@ function calculateGrowthModel({ D0, required, gConst }) {
     dividend: -price
   });
   
-  // Years 1-10: Growing dividends
-  for (let year = 1; year <= HORIZON_YEARS; year++) {
+  // Years 1-N: Growing dividends
+  for (let year = 1; year <= horizonYears; year++) {
     const dividend = D0 * Math.pow(1 + gConst, year);
     cashFlows.push({
       year,
@@ -75,27 +221,53 @@ function calculateGrowthModel({ D0, required, gConst }) {
   return { price, cashFlows };
 }
 
+/**
+ * Dividend for a year of the two-stage model
+ * With earnings, EPS follows the growth path and DPS = EPS × payout for the stage
+ * @param {number} year - Year (1 = next year)
+ * @param {Object} params - { D0, gShort, gLong, shortYears, earnings }
+ * @returns {Object} { dividend } plus { eps, payout } when earnings-driven
+ */
+function changingGrowthDividend(year, { D0, gShort, gLong, shortYears, earnings }) {
+  const growthFactor = year <= shortYears
+    ? Math.pow(1 + gShort, year)
+    : Math.pow(1 + gShort, shortYears) * Math.pow(1 + gLong, year - shortYears);
+  
+  if (!earnings) {
+    return { dividend: D0 * growthFactor };
+  }
+  
+  const eps = earnings.eps * growthFactor;
+  const payout = year <= shortYears ? earnings.payoutHigh : earnings.payoutMature;
+  
+  return { eps, payout, dividend: eps * payout };
+}
+
 /**
  * Calculate changing growth model (Two-Stage Model)
- * High growth for n years, then sustainable growth forever
- * @param {Object} params - Input parameters
- * @returns {Object} Price and cash flows
+ * Short-term growth for n years, then sustainable growth forever
+ * Either rate may be negative (a declining stage); only g_L < r is required
+ * @param {Object} params - Input parameters (earnings: optional EPS and payout schedule)
+ * @returns {Object} Price, cash flows and terminal value, or a failure with an error ({ code, reason })
  */
-function calculateChangingModel({ D0, required, gShort, gLong, shortYears }) {
+function calculateChangingModel(params) {
+  const { required, gLong, shortYears, earnings, horizonYears = DEFAULT_HORIZON_YEARS } = params;
+  
   // Validate: long-term growth must be less than required return
-  if (gLong >= required || required <= 0 || gShort < 0 || gLong < 0) {
-    return { price: NaN, cashFlows: [] };
+  const invalid = checkPerpetuity(required, gLong, 'Long-term growth');
+  if (invalid) {
+    return invalid;
   }
   
   // Step 1: Calculate PV of high growth dividends
   let pvHighGrowth = 0;
   for (let t = 1; t <= shortYears; t++) {
-    const dividend = D0 * Math.pow(1 + gShort, t);
+    const { dividend } = changingGrowthDividend(t, params);
     pvHighGrowth += dividend / Math.pow(1 + required, t);
   }
   
   // Step 2: Calculate terminal value using Gordon Growth Model
-  const terminalDividend = D0 * Math.pow(1 + gShort, shortYears) * (1 + gLong);
+  const terminalDividend = changingGrowthDividend(shortYears + 1, params).dividend;
   const terminalValue = terminalDividend / (required - gLong);
   
   // Step 3: Discount terminal value to present
@@ -114,17 +286,183 @@ function calculateChangingModel({ D0, required, gShort, gLong, shortYears }) {
     dividend: -price
   });
   
-  // Years 1-10: High growth then sustainable growth
-  for (let year = 1; year <= HORIZON_YEARS; year++) {
-    let dividend;
-    if (year <= shortYears) {
-      // High growth period
-      dividend = D0 * Math.pow(1 + gShort, year);
+  // Years 1-N: High growth then sustainable growth
+  for (let year = 1; year <= horizonYears; year++) {
+    cashFlows.push({
+      year,
+      yearLabel: year.toString(),
+      ...changingGrowthDividend(year, params)
+    });
+  }
+  
+  const terminal = addTerminalValue(cashFlows, shortYears, terminalValue);
+  
+  return earnings
+    ? { price, cashFlows, terminal, earnings }
+    : { price, cashFlows, terminal };
+}
+
+/**
+ * Attach a terminal value to the cash flow for the year it is received
+ * The entry is skipped when that year lies beyond the horizon
+ * @param {Array} cashFlows - Cash flows (mutated)
+ * @param {number} year - Year the terminal value is received
+ * @param {number} terminalValue - Terminal value at that year
+ * @returns {Object} Terminal value details ({ year, value, inHorizon })
+ */
+function addTerminalValue(cashFlows, year, terminalValue) {
+  const cashFlow = cashFlows[year];
+  
+  if (cashFlow) {
+    cashFlow.terminalValue = terminalValue;
+  }
+  
+  return { year, value: terminalValue, inHorizon: Boolean(cashFlow) };
+}
+
+/**
+ * Growth rate applied in a given year of the H-model dividend path
+ * Declines linearly from the short-term rate to the long-term rate over 2H years
+ * @param {number} year - Year (1-based)
+ * @param {number} gShort - Initial growth rate
+ * @param {number} gLong - Long-term growth rate
+ * @param {number} halfLife - Half-life of the high growth period (H)
+ * @returns {number} Growth rate for the year
+ */
+function hModelGrowthRate(year, gShort, gLong, halfLife) {
+  const progress = Math.min(year / (2 * halfLife), 1);
+  return gShort - (gShort - gLong) * progress;
+}
+
+/**
+ * Calculate H-model (Fuller–Hsia)
+ * Growth declines linearly from gShort to gLong over 2H years
+ * Formula: P = D₀(1 + g_L) / (r - g_L) + D₀ × H × (g_S - g_L) / (r - g_L)
+ * @param {Object} params - Input parameters
+ * @returns {Object} Price and cash flows, or a failure with an error ({ code, reason })
+ */
+function calculateHModel({ D0, required, gShort, gLong, halfLife, horizonYears = DEFAULT_HORIZON_YEARS }) {
+  // Validate: long-term growth must be less than required return
+  const invalid = checkPerpetuity(required, gLong, 'Long-term growth');
+  if (invalid) {
+    return invalid;
+  }
+  
+  if (halfLife <= 0) {
+    return failure('non-positive-half-life', `Half-life (${halfLife} years) must be greater than 0`);
+  }
+  
+  // Gordon value at the long-term rate plus the value of above-normal growth
+  const stableValue = D0 * (1 + gLong) / (required - gLong);
+  const extraGrowthValue = D0 * halfLife * (gShort - gLong) / (required - gLong);
+  const price = stableValue + extraGrowthValue;
+  
+  const cashFlows = [];
+  
+  // Year 0: Initial investment (negative)
+  cashFlows.push({
+    year: 0,
+    yearLabel: '0',
+    dividend: -price
+  });
+  
+  // Years 1-N: Growth fading linearly toward the long-term rate
+  let dividend = D0;
+  for (let year = 1; year <= horizonYears; year++) {
+    dividend *= 1 + hModelGrowthRate(year, gShort, gLong, halfLife);
+    cashFlows.push({
+      year,
+      yearLabel: year.toString(),
+      dividend
+    });
+  }
+  
+  return { price, cashFlows };
+}
+
+/**
+ * Growth rate applied in a given year of the three-stage dividend path
+ * Stage 1 grows at gShort, stage 2 fades linearly to gLong, stage 3 grows at gLong
+ * @param {number} year - Year (1-based)
+ * @param {Object} params - Stage parameters
+ * @returns {number} Growth rate for the year
+ */
+function threeStageGrowthRate(year, { gShort, gLong, shortYears, transitionYears }) {
+  if (year <= shortYears) {
+    return gShort;
+  }
+  
+  const transitionYear = year - shortYears;
+  if (transitionYear <= transitionYears) {
+    return gShort - (gShort - gLong) * transitionYear / (transitionYears + 1);
+  }
+  
+  return gLong;
+}
+
+/**
+ * Calculate three-stage model
+ * High growth for n₁ years, linear transition over n₂ years, then Gordon growth forever
+ * @param {Object} params - Input parameters
+ * @returns {Object} Price, cash flows, PV of each stage and terminal value,
+ *   or a failure with an error ({ code, reason })
+ */
+function calculateThreeStageModel({
+  D0,
+  required,
+  gShort,
+  gLong,
+  shortYears,
+  transitionYears,
+  horizonYears = DEFAULT_HORIZON_YEARS
+}) {
+  // Validate: long-term growth must be less than required return
+  const invalid = checkPerpetuity(required, gLong, 'Long-term growth');
+  if (invalid) {
+    return invalid;
+  }
+  
+  if (transitionYears < 0) {
+    return failure('negative-transition-years',
+      `Transition period (${transitionYears} years) cannot be negative`);
+  }
+  
+  const stageParams = { gShort, gLong, shortYears, transitionYears };
+  const matureStart = shortYears + transitionYears;
+  
+  // Step 1: PV of high growth and transition dividends
+  const stages = { high: 0, transition: 0, terminal: 0 };
+  let dividend = D0;
+  for (let t = 1; t <= matureStart; t++) {
+    dividend *= 1 + threeStageGrowthRate(t, stageParams);
+    const pv = dividend / Math.pow(1 + required, t);
+    if (t <= shortYears) {
+      stages.high += pv;
     } else {
-      // Sustainable growth period
-      dividend = D0 * Math.pow(1 + gShort, shortYears) * Math.pow(1 + gLong, year - shortYears);
+      stages.transition += pv;
     }
-    
+  }
+  
+  // Step 2: Terminal value at the start of the mature stage, discounted to present
+  const terminalValue = dividend * (1 + gLong) / (required - gLong);
+  stages.terminal = terminalValue / Math.pow(1 + required, matureStart);
+  
+  // Total price
+  const price = stages.high + stages.transition + stages.terminal;
+  
+  const cashFlows = [];
+  
+  // Year 0: Initial investment (negative)
+  cashFlows.push({
+    year: 0,
+    yearLabel: '0',
+    dividend: -price
+  });
+  
+  // Years 1-N: High growth, transition, then mature growth
+  dividend = D0;
+  for (let year = 1; year <= horizonYears; year++) {
+    dividend *= 1 + threeStageGrowthRate(year, stageParams);
     cashFlows.push({
       year,
       yearLabel: year.toString(),
@@ -132,28 +470,178 @@ function calculateChangingModel({ D0, required, gShort, gLong, shortYears }) {
     });
   }
   
-  return { price, cashFlows };
+  const terminal = addTerminalValue(cashFlows, matureStart, terminalValue);
+  
+  return { price, cashFlows, stages, terminal };
+}
+
+/**
+ * Calculation function for each model
+ */
+const MODEL_CALCULATORS = {
+  constant: calculateConstantModel,
+  growth: calculateGrowthModel,
+  changing: calculateChangingModel,
+  hmodel: calculateHModel,
+  threeStage: calculateThreeStageModel
+};
+
+/**
+ * Add discount factors and present values to a model result
+ * Year 0 has a discount factor of 1; cumulative PV sums dividends from year 1
+ * @param {Object} result - Model result (mutated)
+ * @param {number} required - Required return (decimal)
+ */
+function addPresentValues(result, required) {
+  let cumulativePV = 0;
+  
+  result.cashFlows.forEach(cf => {
+    cf.discountFactor = 1 / Math.pow(1 + required, cf.year);
+    cf.presentValue = cf.dividend * cf.discountFactor;
+    
+    if (cf.year > 0) {
+      cumulativePV += cf.presentValue;
+    }
+    cf.cumulativePV = cumulativePV;
+  });
+  
+  if (result.terminal) {
+    result.terminal.presentValue = result.terminal.value / Math.pow(1 + required, result.terminal.year);
+  }
+  
+  // Split of price between dividends inside the horizon and everything after it
+  result.pvWithinHorizon = cumulativePV;
+  result.pvBeyondHorizon = result.price - cumulativePV;
+}
+
+/**
+ * Add the model-implied price path and its yield decomposition to each cash flow
+ * Recursion: Pₜ = Pₜ₋₁(1 + r) − Dₜ, so each year Dₜ/Pₜ₋₁ + (Pₜ − Pₜ₋₁)/Pₜ₋₁ = r
+ * @param {Object} result - Model result (mutated)
+ * @param {number} required - Required return (decimal)
+ */
+function addPricePath(result, required) {
+  let price = result.price;
+  
+  result.cashFlows.forEach(cf => {
+    if (cf.year === 0) {
+      cf.intrinsicValue = price;
+      return;
+    }
+    
+    const previous = price;
+    price = previous * (1 + required) - cf.dividend;
+    
+    cf.intrinsicValue = price;
+    cf.dividendYield = cf.dividend / previous;
+    cf.capitalGainsYield = (price - previous) / previous;
+  });
 }
 
 /**
- * Calculate all three models
+ * Calculate a single model
+ * @param {string} modelKey - Model identifier
+ * @param {Object} params - All input parameters (rates as decimals)
+ * @returns {Object} Price, cash flows (with present values and price path) and model extras
+ */
+export function calculateModel(modelKey, params) {
+  const result = MODEL_CALCULATORS[modelKey](params);
+  
+  if (isFinite(result.price)) {
+    addPresentValues(result, params.required);
+    addPricePath(result, params.required);
+  }
+  
+  return result;
+}
+
+/**
+ * Calculate all models
  * @param {Object} params - All input parameters
- * @returns {Object} All three model results
+ * @returns {Object} Results keyed by model identifier
  */
 export function calculateAllModels(params) {
-  const { D0, required, gConst, gShort, gLong, shortYears } = params;
+  const results = {};
   
-  const constant = calculateConstantModel({ D0, required });
-  const growth = calculateGrowthModel({ D0, required, gConst });
-  const changing = calculateChangingModel({ D0, required, gShort, gLong, shortYears });
+  MODEL_KEYS.forEach(modelKey => {
+    results[modelKey] = calculateModel(modelKey, params);
+  });
+  
+  return results;
+}
+
+/**
+ * Earnings per share and ROE available from the current entry modes (UI units)
+ * EPS is entered in earnings mode, or implied by D₀ and the payout ratio in fundamentals mode
+ * @param {Object} values - Input values in UI units
+ * @returns {Object} { eps, roe } (null where not supplied; roe as a decimal)
+ */
+export function getEarningsBasis(values) {
+  let eps = null;
+  
+  if (values.dividendMode === 'earnings') {
+    eps = values.eps;
+  } else if (values.growthMode === 'fundamentals') {
+    const payout = values.ratioType === 'payout' ? values.earningsRatio : 100 - values.earningsRatio;
+    eps = payout > 0 ? values.D0 / (payout / 100) : null;
+  }
+  
+  const roe = values.growthMode === 'fundamentals' ? values.roe / 100 : null;
+  
+  return { eps, roe };
+}
+
+/**
+ * Justified multiples implied by a model price
+ * Trailing P/E = P₀ ÷ E₀; leading P/E = P₀ ÷ E₁; P/B = P₀ ÷ B₀ with B₀ = E₁ ÷ ROE
+ * E₁ comes from the model's EPS path, or grows with the model's first-year dividend growth
+ * @param {Object} result - Model result (price and cash flows)
+ * @param {number} D0 - Current dividend
+ * @param {Object} basis - { eps, roe } from getEarningsBasis
+ * @returns {Object|null} { trailingPE, leadingPE, priceToBook } or null without EPS
+ */
+export function calculateJustifiedMultiples(result, D0, { eps, roe }) {
+  if (!Number.isFinite(eps) || eps <= 0 || !isFinite(result.price) || !result.cashFlows[1]) {
+    return null;
+  }
+  
+  const nextYear = result.cashFlows[1];
+  const nextEps = nextYear.eps !== undefined ? nextYear.eps : eps * nextYear.dividend / D0;
   
   return {
-    constant,
-    growth,
-    changing
+    trailingPE: result.price / eps,
+    leadingPE: result.price / nextEps,
+    priceToBook: roe > 0 ? result.price / (nextEps / roe) : null
   };
 }
 
+/**
+ * Valuation verdict comparing a model price with the market price
+ * Within ± tolerance of the market price the stock is fairly valued
+ * @param {number} price - Model (intrinsic) price
+ * @param {number} marketPrice - Observed market price
+ * @param {number} tolerance - Fair value band (decimal, e.g. 0.05)
+ * @returns {Object|null} { verdict, difference, marginOfSafety } or null without a valid price
+ */
+export function calculateVerdict(price, marketPrice, tolerance) {
+  if (!isFinite(price) || price <= 0 || !(marketPrice > 0)) {
+    return null;
+  }
+  
+  // Model price relative to market price, and discount of market price to model price
+  const difference = (price - marketPrice) / marketPrice;
+  const marginOfSafety = (price - marketPrice) / price;
+  
+  let verdict = 'fair';
+  if (difference > tolerance) {
+    verdict = 'undervalued';
+  } else if (difference < -tolerance) {
+    verdict = 'overvalued';
+  }
+  
+  return { verdict, difference, marginOfSafety };
+}
+
 /**
  * Get model metadata
  * @param {string} modelKey - Model identifier
@@ -176,8 +664,20 @@ export function getModelMetadata(modelKey) {
     changing: {
       name: 'Changing Growth Model',
       color: '#9333ea',
-      description: 'High growth initially, then sustainable growth forever',
+      description: 'Short-term growth (high or declining) initially, then sustainable growth forever',
       formula: 'P = PV(high growth) + PV(terminal)'
+    },
+    hmodel: {
+      name: 'H-Model',
+      color: '#c2410c',
+      description: 'Growth declines linearly from the short-term to the long-term rate',
+      formula: 'P = [D₀(1 + gL) + D₀H(gS - gL)] ÷ (r - gL)'
+    },
+    threeStage: {
+      name: 'Three-Stage Model',
+      color: '#0f766e',
+      description: 'High growth, a linear transition to sustainable growth, then sustainable growth forever',
+      formula: 'P = PV(high growth) + PV(transition) + PV(terminal)'
     }
   };
   
@@ -4,28 +4,61 @@
  * and screen reader support
  */
 
-import { formatCurrency } from './utils.js';
-import { getModelMetadata } from './calculations.js';
+import { formatCurrency, createElement } from './utils.js';
+import { getModelMetadata, MODEL_KEYS } from './calculations.js';
 
 // Model colors matching CSS
 const COLORS = {
   constant: '#2563eb',
   growth: '#16a34a',
   changing: '#9333ea',
+  hmodel: '#c2410c',
+  threeStage: '#0f766e',
   darkText: '#06005a'
 };
 
 let chartInstance = null;
 let currentFocusIndex = 0;
 let isKeyboardMode = false;
+let displayOptions = {};
+
+/**
+ * Create a diagonal hatch pattern for terminal value bars
+ * @param {CanvasRenderingContext2D} ctx - Chart context
+ * @param {string} color - Base model color
+ * @returns {CanvasPattern} Fill pattern
+ */
+function createHatchPattern(ctx, color) {
+  const size = 8;
+  const patternCanvas = document.createElement('canvas');
+  patternCanvas.width = size;
+  patternCanvas.height = size;
+  
+  const patternCtx = patternCanvas.getContext('2d');
+  patternCtx.fillStyle = 'white';
+  patternCtx.fillRect(0, 0, size, size);
+  patternCtx.strokeStyle = color;
+  patternCtx.lineWidth = 2;
+  patternCtx.beginPath();
+  patternCtx.moveTo(0, size);
+  patternCtx.lineTo(size, 0);
+  patternCtx.moveTo(-size / 2, size / 2);
+  patternCtx.lineTo(size / 2, -size / 2);
+  patternCtx.moveTo(size / 2, size * 1.5);
+  patternCtx.lineTo(size * 1.5, size / 2);
+  patternCtx.stroke();
+  
+  return ctx.createPattern(patternCanvas, 'repeat');
+}
 
 /**
  * Create or update dividend cash flow chart
- * @param {Object} calculations - All three model calculations
- * @param {string} selectedModel - Selected model ('all', 'constant', 'growth', 'changing')
+ * @param {Object} calculations - All model calculations
+ * @param {string} selectedModel - Selected model ('all' or a model key)
  * @param {boolean} showLabels - Whether to show value labels
+ * @param {Object} display - Display options ({ showTerminalValue, chartMode })
  */
-export function renderChart(calculations, selectedModel, showLabels = true) {
+export function renderChart(calculations, selectedModel, showLabels = true, display = {}) {
   const canvas = document.getElementById('dividend-chart');
   
   if (!canvas) {
@@ -55,11 +88,19 @@ if (container) {
   
   // Enhanced aria-label with detailed keyboard instructions
   const modelDescription = selectedModel === 'all' 
-    ? 'comparing all three dividend discount models' 
+    ? 'comparing all dividend discount models' 
     : `showing ${selectedModel} model`;
   
+  const discounted = display.chartMode === 'discounted';
+  let modeDescription = discounted
+    ? 'Bars show present values; lines show cumulative present value against the model price on the right axis. '
+    : '';
+  if (display.showPricePath) {
+    modeDescription += 'Dotted lines on the right axis show the model-implied price at the end of each year. ';
+  }
+  
   canvas.setAttribute('aria-label', 
-    `Interactive dividend cash flow bar chart ${modelDescription}. ` +
+    `Interactive dividend cash flow bar chart ${modelDescription}. ${modeDescription}` +
     'Press Tab to focus the chart, then use Left and Right arrow keys to navigate between years. ' +
     'Press Home to jump to the first year, End to jump to the last year. ' +
     'Press T to toggle between chart and table view. ' +
@@ -70,32 +111,147 @@ if (container) {
   
   // Determine which models to display
   const modelsToShow = selectedModel === 'all' 
-    ? ['constant', 'growth', 'changing']
+    ? MODEL_KEYS
     : [selectedModel];
   
-  // Get data from first model (they all have same years)
-  const firstModel = calculations[modelsToShow[0]];
-  if (!firstModel || !firstModel.cashFlows || firstModel.cashFlows.length === 0) {
-    console.warn('No cash flow data available');
+  updateLegendStatus(calculations);
+  
+  // Models that could not be calculated are left out (the legend says why)
+  const validModels = modelsToShow.filter(modelKey => !calculations[modelKey].error);
+  
+  updateEmptyState(canvas, calculations, validModels.length > 0 ? [] : modelsToShow);
+  
+  // Get years from the first valid model (they all have same years)
+  const firstModel = calculations[validModels[0]];
+  if (!firstModel) {
+    destroyChart();
     return;
   }
   
   const labels = firstModel.cashFlows.map(cf => cf.yearLabel);
+  displayOptions = display;
   
-  // Build datasets for selected models
-  const datasets = modelsToShow.map(modelKey => {
+  // Build datasets for selected models (each model is its own stack)
+  const datasets = validModels.map(modelKey => {
     const modelData = calculations[modelKey];
     const metadata = getModelMetadata(modelKey);
     
     return {
       label: metadata.name,
-      data: modelData.cashFlows.map(cf => cf.dividend),
+      data: modelData.cashFlows.map(cf => discounted ? cf.presentValue : cf.dividend),
       backgroundColor: COLORS[modelKey],
       borderColor: '#333',
-      borderWidth: 1
+      borderWidth: 1,
+      stack: modelKey
     };
   });
   
+  // Models whose terminal value bar is drawn (its year, keyed by model)
+  const terminalYears = {};
+  
+  // Terminal values stack on top of the dividend for the year they are received
+  if (display.showTerminalValue) {
+    validModels.forEach(modelKey => {
+      const modelData = calculations[modelKey];
+      if (!modelData.terminal || !modelData.terminal.inHorizon) return;
+      
+      terminalYears[modelKey] = modelData.terminal.year;
+      
+      datasets.push({
+        label: `${getModelMetadata(modelKey).name} terminal value`,
+        data: modelData.cashFlows.map(cf => {
+          const terminalValue = cf.terminalValue || 0;
+          return discounted ? terminalValue * cf.discountFactor : terminalValue;
+        }),
+        backgroundColor: createHatchPattern(ctx, COLORS[modelKey]),
+        borderColor: COLORS[modelKey],
+        borderWidth: 1,
+        stack: modelKey,
+        isTerminalValue: true,
+        saleYear: modelData.holdingPeriod && !modelData.holdingPeriod.error ? modelData.holdingPeriod.saleYear : null
+      });
+    });
+  }
+  
+  // Holding-period sale proceeds stack on top of the dividend for the sale year
+  // A terminal value bar in the sale year already shows the same amount (Pₙ), so no sale bar is added there
+  validModels.forEach(modelKey => {
+    const modelData = calculations[modelKey];
+    if (!modelData.holdingPeriod || modelData.holdingPeriod.error) return;
+    
+    const { saleYear, salePrice } = modelData.holdingPeriod;
+    if (terminalYears[modelKey] === saleYear) return;
+    
+    datasets.push({
+      label: `${getModelMetadata(modelKey).name} sale proceeds`,
+      data: modelData.cashFlows.map(cf => {
+        const saleProceeds = cf.year === saleYear ? salePrice : 0;
+        return discounted ? saleProceeds * cf.discountFactor : saleProceeds;
+      }),
+      backgroundColor: `${COLORS[modelKey]}59`,
+      borderColor: COLORS[modelKey],
+      borderWidth: 1,
+      stack: modelKey,
+      isSaleProceeds: true
+    });
+  });
+  
+  // Model-implied price path (secondary axis)
+  if (display.showPricePath) {
+    validModels.forEach(modelKey => {
+      const modelData = calculations[modelKey];
+      if (!isFinite(modelData.price)) return;
+      
+      datasets.push({
+        type: 'line',
+        label: `${getModelMetadata(modelKey).name} price path`,
+        data: modelData.cashFlows.map(cf => cf.intrinsicValue),
+        borderColor: COLORS[modelKey],
+        backgroundColor: COLORS[modelKey],
+        borderWidth: 2,
+        borderDash: [2, 3],
+        pointRadius: 3,
+        pointStyle: 'rectRot',
+        yAxisID: 'y1',
+        isPricePath: true,
+        cashFlows: modelData.cashFlows
+      });
+    });
+  }
+  
+  // Cumulative PV converging toward the model price (secondary axis)
+  if (discounted) {
+    validModels.forEach(modelKey => {
+      const modelData = calculations[modelKey];
+      if (!isFinite(modelData.price)) return;
+      
+      const name = getModelMetadata(modelKey).name;
+      
+      datasets.push({
+        type: 'line',
+        label: `${name} cumulative PV`,
+        data: modelData.cashFlows.map(cf => cf.cumulativePV),
+        borderColor: COLORS[modelKey],
+        backgroundColor: COLORS[modelKey],
+        borderWidth: 2,
+        pointRadius: 3,
+        yAxisID: 'y1'
+      });
+      
+      datasets.push({
+        type: 'line',
+        label: `${name} price`,
+        data: modelData.cashFlows.map(() => modelData.price),
+        borderColor: COLORS[modelKey],
+        borderWidth: 1,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        yAxisID: 'y1',
+        isReference: true
+      });
+    });
+  }
+  
   // Destroy existing chart instance
   if (chartInstance) {
     chartInstance.destroy();
@@ -125,9 +281,6 @@ onHover: (event, activeElements) => {
   // Announce hovered data point for screen readers
   if (activeElements.length > 0) {
     const index = activeElements[0].index;
-    const firstModel = calculations[
-      selectedModel === 'all' ? 'constant' : selectedModel
-    ];
     const cashFlow = firstModel.cashFlows[index];
     announceDataPoint(cashFlow, calculations, selectedModel);
   }
@@ -142,6 +295,9 @@ onHover: (event, activeElements) => {
           display: false // Using custom legend in HTML
         },
         tooltip: {
+          // Hide empty terminal value and sale entries, and price reference lines
+          filter: (item) => !item.dataset.isReference &&
+            (!(item.dataset.isTerminalValue || item.dataset.isSaleProceeds) || item.parsed.y !== 0),
           callbacks: {
             title: (context) => {
               const index = context[0].dataIndex;
@@ -149,13 +305,25 @@ onHover: (event, activeElements) => {
             },
             label: (context) => {
               const value = context.parsed.y;
-              return `${context.dataset.label}: ${formatCurrency(Math.abs(value))}`;
+              const label = `${context.dataset.label}: ${formatCurrency(Math.abs(value))}`;
+              
+              if (context.dataset.isTerminalValue && context.dataIndex === context.dataset.saleYear) {
+                return `${label} (also the holding-period sale price)`;
+              }
+              
+              const cf = context.dataset.isPricePath && context.dataset.cashFlows[context.dataIndex];
+              
+              if (!cf || cf.year === 0) return label;
+              
+              return `${label} (dividend yield ${(cf.dividendYield * 100).toFixed(2)}%, ` +
+                `capital gains yield ${(cf.capitalGainsYield * 100).toFixed(2)}%)`;
             }
           }
         }
       },
       scales: {
         x: {
+          stacked: true,
           title: {
             display: true,
             text: 'Years'
@@ -165,9 +333,10 @@ onHover: (event, activeElements) => {
           }
         },
         y: {
+          stacked: true,
           title: {
             display: true,
-            text: 'Cash Flow ($)'
+            text: discounted ? 'Present Value ($)' : 'Cash Flow ($)'
           },
           ticks: {
             callback: function(value) {
@@ -180,6 +349,27 @@ onHover: (event, activeElements) => {
           grid: {
             color: 'rgba(0, 0, 0, 0.05)'
           }
+        },
+        y1: {
+          display: discounted || Boolean(display.showPricePath),
+          position: 'right',
+          stacked: false,
+          min: 0,
+          title: {
+            display: true,
+            text: display.showPricePath ? (discounted ? 'Value ($)' : 'Price (Pₜ, $)') : 'Cumulative PV ($)'
+          },
+          ticks: {
+            callback: function(value) {
+              return new Intl.NumberFormat('en-US', {
+                minimumFractionDigits: 0,
+                maximumFractionDigits: 0
+              }).format(value);
+            }
+          },
+          grid: {
+            drawOnChartArea: false
+          }
         }
       },
       layout: {
@@ -213,6 +403,10 @@ onHover: (event, activeElements) => {
             
             if (!meta.data[index]) return;
             
+            // Skip years where a terminal value or sale bar sits on top of the dividend
+            if (chart.data.datasets.some(dataset =>
+              (dataset.isTerminalValue || dataset.isSaleProceeds) && dataset.data[index])) return;
+            
             const bar = meta.data[index];
             const x = bar.x;
             const y = value < 0 ? bar.y + 30 : bar.y - 5;
@@ -234,7 +428,11 @@ onHover: (event, activeElements) => {
 
           chart.data.datasets.forEach((dataset, datasetIndex) => {
             const meta = chart.getDatasetMeta(datasetIndex);
+            if (meta.type !== 'bar') return;
+            
             meta.data.forEach((bar) => {
+              if (bar.base === bar.y) return;
+              
               const x = bar.x - bar.width / 2;
               const y = Math.min(bar.y, bar.base);
               const width = bar.width;
@@ -500,27 +698,114 @@ function announceDataPoint(cashFlow, calculations, selectedModel) {
     document.body.appendChild(liveRegion);
   }
   
+  const modelKeys = selectedModel === 'all' ? MODEL_KEYS : [selectedModel];
+  
   const year = cashFlow.year;
   const yearLabel = year === 0 ? 'Initial investment' : `Year ${year}`;
-  const totalYears = calculations[selectedModel === 'all' ? 'constant' : selectedModel].cashFlows.length - 1;
+  const totalYears = Math.max(...modelKeys.map(modelKey => calculations[modelKey].cashFlows.length)) - 1;
   const position = `${year} of ${totalYears}`;
   
   let announcement = `${yearLabel}, position ${position}. `;
   
-  if (selectedModel === 'all') {
-    const constantDiv = calculations.constant.cashFlows[year].dividend;
-    const growthDiv = calculations.growth.cashFlows[year].dividend;
-    const changingDiv = calculations.changing.cashFlows[year].dividend;
+  // Nominal and present value for each model
+  modelKeys.forEach(modelKey => {
+    const modelData = calculations[modelKey];
+    const modelCashFlow = modelData.cashFlows[year];
+    const modelName = getModelMetadata(modelKey).name;
     
-    announcement += `Constant dividend model: ${formatCurrency(Math.abs(constantDiv))}. `;
-    announcement += `Constant growth model: ${formatCurrency(Math.abs(growthDiv))}. `;
-    announcement += `Changing growth model: ${formatCurrency(Math.abs(changingDiv))}.`;
-  } else {
-    const modelName = getModelMetadata(selectedModel).name;
-    announcement += `${modelName}: ${formatCurrency(Math.abs(cashFlow.dividend))}.`;
+    if (!modelCashFlow) {
+      announcement += modelData.error
+        ? `${modelName}: unavailable, ${modelData.error.reason}. `
+        : `${modelName}: unavailable. `;
+      return;
+    }
+    
+    announcement += `${modelName}: nominal ${formatCurrency(Math.abs(modelCashFlow.dividend))}, ` +
+      `present value ${formatCurrency(Math.abs(modelCashFlow.presentValue))}`;
+    
+    if (displayOptions.chartMode === 'discounted' && year > 0) {
+      announcement += `, cumulative present value ${formatCurrency(modelCashFlow.cumulativePV)} ` +
+        `of ${formatCurrency(modelData.price)} price`;
+    }
+    
+    if (displayOptions.showPricePath && year > 0) {
+      announcement += `, price ${formatCurrency(modelCashFlow.intrinsicValue)}, ` +
+        `dividend yield ${(modelCashFlow.dividendYield * 100).toFixed(2)}%, ` +
+        `capital gains yield ${(modelCashFlow.capitalGainsYield * 100).toFixed(2)}%`;
+    }
+    
+    announcement += '. ';
+  });
+  
+  // Mention terminal values received this year
+  if (displayOptions.showTerminalValue) {
+    modelKeys.forEach(modelKey => {
+      const terminalValue = calculations[modelKey].cashFlows[year]?.terminalValue;
+      if (terminalValue) {
+        announcement += `${getModelMetadata(modelKey).name} terminal value: ${formatCurrency(terminalValue)}. `;
+      }
+    });
   }
   
-  liveRegion.textContent = announcement;
+  // Mention holding-period sale proceeds received this year
+  modelKeys.forEach(modelKey => {
+    const holdingPeriod = calculations[modelKey].holdingPeriod;
+    if (holdingPeriod && !holdingPeriod.error && holdingPeriod.saleYear === year) {
+      announcement += `${getModelMetadata(modelKey).name} sale proceeds: ${formatCurrency(holdingPeriod.salePrice)}. `;
+    }
+  });
+  
+  liveRegion.textContent = announcement.trim();
+}
+
+/**
+ * Mark legend entries for models that could not be calculated
+ * @param {Object} calculations - All model calculations
+ */
+function updateLegendStatus(calculations) {
+  MODEL_KEYS.forEach(modelKey => {
+    const item = document.querySelector(`#chart-legend .legend-item[data-model="${modelKey}"]`);
+    if (!item) return;
+    
+    const status = item.querySelector('.legend-status');
+    const reason = calculations[modelKey].error ? calculations[modelKey].error.reason : '';
+    
+    item.classList.toggle('legend-invalid', Boolean(reason));
+    item.title = reason;
+    if (status) {
+      status.textContent = reason ? ` (unavailable: ${reason})` : '';
+    }
+  });
+}
+
+/**
+ * Show why nothing can be charted in place of the canvas
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ * @param {Object} calculations - All model calculations
+ * @param {Array<string>} failedModels - Shown models that failed (empty when something can be charted)
+ */
+function updateEmptyState(canvas, calculations, failedModels) {
+  const emptyState = document.getElementById('chart-empty-state');
+  const isEmpty = failedModels.length > 0;
+  
+  canvas.hidden = isEmpty;
+  
+  if (!emptyState) return;
+  
+  emptyState.hidden = !isEmpty;
+  emptyState.innerHTML = '';
+  
+  if (!isEmpty) return;
+  
+  emptyState.appendChild(createElement('p', { className: 'chart-empty-title' },
+    failedModels.length === 1 ? 'This model cannot be charted' : 'No model can be charted'));
+  
+  const list = createElement('ul');
+  failedModels.forEach(modelKey => {
+    list.appendChild(createElement('li', {},
+      `${getModelMetadata(modelKey).name}: ${calculations[modelKey].error.reason}`));
+  });
+  emptyState.appendChild(list);
 }
 
 /**
@@ -0,0 +1,345 @@
+/**
+ * Comparison View Module - Dividend Discount Calculator
+ * Renders one model under several input sets: result boxes, a chart grouped by scenario and a table
+ */
+
+import { formatCurrency, createElement } from './utils.js';
+import { getModelMetadata } from './calculations.js';
+
+/**
+ * Colours by comparison slot (bull, base and bear when entered in that order)
+ */
+const SCENARIO_COLORS = ['#16a34a', '#2563eb', '#b91c1c', '#7e22ce'];
+
+let comparisonChartInstance = null;
+
+/**
+ * Probability as shown beside a scenario
+ * @param {number|null} weight - Probability (percentage) or null
+ * @returns {string} Display text ('' when not given)
+ */
+function formatWeight(weight) {
+  return weight === null ? '' : `${Number(weight.toFixed(2))}%`;
+}
+
+/**
+ * Render one result box per scenario, then the probability-weighted value
+ * @param {Object} comparison - Comparison from calculateComparison
+ */
+export function renderComparisonResults(comparison) {
+  const container = document.getElementById('results-content');
+  
+  if (!container) {
+    console.error('Results container not found');
+    return;
+  }
+  
+  container.innerHTML = '';
+  
+  const metadata = getModelMetadata(comparison.modelKey);
+  
+  const count = comparison.scenarios.length;
+  
+  container.appendChild(createElement('p', { className: 'comparison-heading' }, count === 0
+    ? 'Choose scenarios to compare in the Compare Scenarios panel.'
+    : `${metadata.name} under ${count} ${count === 1 ? 'scenario' : 'scenarios'}`));
+  
+  comparison.scenarios.forEach(({ name, weight, result }, index) => {
+    const color = SCENARIO_COLORS[index];
+    const box = createElement('div', {
+      className: 'result-box comparison-box',
+      style: { borderColor: color }
+    });
+    
+    box.appendChild(createElement('h5', { className: 'result-title', style: { color } }, name));
+    
+    const valueDiv = createElement('div', {
+      className: 'result-value',
+      style: { color },
+      'aria-live': 'polite',
+      'aria-atomic': 'true'
+    }, isFinite(result.price) ? formatCurrency(result.price) : 'Invalid');
+    box.appendChild(valueDiv);
+    
+    if (result.error) {
+      box.appendChild(createElement('div', { className: 'result-implied no-solution' }, result.error.reason));
+    }
+    
+    if (weight !== null) {
+      box.appendChild(createElement('div', { className: 'result-description' }, `Probability: ${formatWeight(weight)}`));
+    }
+    
+    container.appendChild(box);
+  });
+  
+  if (comparison.weighted) {
+    container.appendChild(createWeightedBox(comparison.weighted));
+  }
+}
+
+/**
+ * Create the probability-weighted value box
+ * @param {Object} weighted - { value, totalWeight, normalized, error }
+ * @returns {Element} Result box element
+ */
+function createWeightedBox({ value, totalWeight, normalized, error }) {
+  const box = createElement('div', { className: 'result-box comparison-weighted' });
+  
+  box.appendChild(createElement('h5', { className: 'result-title' }, 'Probability-Weighted Value'));
+  box.appendChild(createElement('div', {
+    className: 'result-value',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  }, error ? 'Unavailable' : formatCurrency(value)));
+  
+  if (error) {
+    box.appendChild(createElement('div', { className: 'result-implied no-solution' }, `${error}.`));
+  } else if (normalized) {
+    box.appendChild(createElement('div', { className: 'result-description' },
+      `Probabilities add up to ${formatWeight(totalWeight)}, so each is scaled to make them add up to 100%.`));
+  }
+  
+  box.appendChild(createElement('div', { className: 'result-formula' }, 'Σ pᵢ × Pᵢ / Σ pᵢ'));
+  
+  return box;
+}
+
+/**
+ * Render the comparison chart: one bar per scenario for each year
+ * @param {Object} comparison - Comparison from calculateComparison
+ * @param {Object} display - Display options ({ chartMode })
+ */
+export function renderComparisonChart(comparison, display = {}) {
+  const canvas = document.getElementById('dividend-chart');
+  
+  if (!canvas) {
+    console.error('Chart canvas not found');
+    return;
+  }
+  
+  const metadata = getModelMetadata(comparison.modelKey);
+  const discounted = display.chartMode === 'discounted';
+  const charted = comparison.scenarios
+    .map((scenario, index) => ({ ...scenario, color: SCENARIO_COLORS[index] }))
+    .filter(scenario => !scenario.result.error);
+  
+  updateComparisonEmptyState(canvas, comparison, charted.length === 0);
+  
+  destroyComparisonChart();
+  
+  if (charted.length === 0) return;
+  
+  // Scenarios may have different horizons; the longest sets the years
+  const longest = charted.reduce((best, scenario) =>
+    scenario.result.cashFlows.length > best.result.cashFlows.length ? scenario : best);
+  const labels = longest.result.cashFlows.map(cf => cf.yearLabel);
+  
+  // Not keyboard-explorable like the model chart; the table view has the figures
+  canvas.removeAttribute('aria-roledescription');
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label',
+    `Dividend cash flow bar chart comparing the ${metadata.name} under ${charted.map(scenario => scenario.name).join(', ')}. ` +
+    `${discounted ? 'Bars show present values. ' : ''}Full figures are in the table view.`
+  );
+  
+  comparisonChartInstance = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: charted.map(({ name, result, color }) => ({
+        label: name,
+        data: result.cashFlows.map(cf => discounted ? cf.presentValue : cf.dividend),
+        backgroundColor: color,
+        borderColor: '#333',
+        borderWidth: 1
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      plugins: {
+        legend: {
+          display: true,
+          position: 'top'
+        },
+        tooltip: {
+          callbacks: {
+            title: (context) => {
+              const index = context[0].dataIndex;
+              return index === 0 ? 'Initial Investment' : `Year ${labels[index]}`;
+            },
+            label: (context) => `${context.dataset.label}: ${formatCurrency(Math.abs(context.parsed.y))}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Years'
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: discounted ? 'Present Value ($)' : 'Cash Flow ($)'
+          },
+          ticks: {
+            callback: (value) => new Intl.NumberFormat('en-US', {
+              minimumFractionDigits: 0,
+              maximumFractionDigits: 0
+            }).format(value)
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Show why nothing is charted when no scenario has a valid price
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @param {Object} comparison - Comparison from calculateComparison
+ * @param {boolean} isEmpty - Whether no scenario can be charted
+ */
+function updateComparisonEmptyState(canvas, comparison, isEmpty) {
+  const emptyState = document.getElementById('chart-empty-state');
+  
+  canvas.hidden = isEmpty;
+  
+  if (!emptyState) return;
+  
+  emptyState.hidden = !isEmpty;
+  emptyState.innerHTML = '';
+  
+  if (!isEmpty) return;
+  
+  emptyState.appendChild(createElement('p', { className: 'chart-empty-title' },
+    comparison.scenarios.length === 0 ? 'Choose scenarios to compare' : 'No scenario can be charted'));
+  
+  const list = createElement('ul');
+  comparison.scenarios.forEach(({ name, result }) => {
+    list.appendChild(createElement('li', {}, `${name}: ${result.error.reason}`));
+  });
+  emptyState.appendChild(list);
+}
+
+/**
+ * Render the comparison table: one column per scenario, prices and probabilities in the footer
+ * @param {Object} comparison - Comparison from calculateComparison
+ * @param {Object} display - Display options ({ showPresentValues })
+ */
+export function renderComparisonTable(comparison, display = {}) {
+  const tableElement = document.getElementById('data-table-element');
+  
+  if (!tableElement) {
+    console.error('Table element not found');
+    return;
+  }
+  
+  tableElement.innerHTML = '';
+  
+  const metadata = getModelMetadata(comparison.modelKey);
+  const { scenarios, weighted } = comparison;
+  const valid = scenarios.filter(scenario => !scenario.result.error);
+  
+  if (valid.length === 0) {
+    const reasons = scenarios.map(({ name, result }) => `${name}: ${result.error.reason}.`);
+    tableElement.appendChild(createElement('caption', { className: 'table-empty-caption' },
+      scenarios.length === 0
+        ? 'Choose scenarios to compare.'
+        : `No dividend cash flows to show. ${reasons.join(' ')}`));
+    return;
+  }
+  
+  const yearCount = Math.max(...valid.map(scenario => scenario.result.cashFlows.length));
+  const valueKey = display.showPresentValues ? 'presentValue' : 'dividend';
+  
+  let captionText = `Dividend cash flows: ${metadata.name} under each compared scenario. ` +
+    'Year 0 shows initial investment (negative). ';
+  captionText += display.showPresentValues
+    ? 'Later years show the present value of each dividend. '
+    : 'Later years show expected dividend payments. ';
+  captionText += 'The footer shows each scenario\'s price and probability';
+  captionText += weighted ? ', and the probability-weighted value.' : '.';
+  scenarios.filter(scenario => scenario.result.error).forEach(({ name, result }) => {
+    captionText += ` ${name} unavailable: ${result.error.reason}.`;
+  });
+  tableElement.appendChild(createElement('caption', { className: 'sr-only' }, captionText));
+  
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  headerRow.appendChild(createElement('th', { scope: 'col', className: 'text-left' }, 'Year'));
+  scenarios.forEach(({ name, result }) => {
+    const heading = display.showPresentValues ? `${name} PV` : name;
+    headerRow.appendChild(createElement('th', { scope: 'col', className: 'text-right' },
+      result.error ? `${name} (unavailable)` : heading));
+  });
+  thead.appendChild(headerRow);
+  tableElement.appendChild(thead);
+  
+  const tbody = createElement('tbody');
+  
+  for (let year = 0; year < yearCount; year++) {
+    const tr = createElement('tr');
+    
+    tr.appendChild(createElement('th', { scope: 'row', className: 'text-left' },
+      year === 0 ? 'Initial' : `Year ${year}`));
+    
+    // Scenarios with a shorter horizon have no row for later years
+    scenarios.forEach(({ result }) => {
+      const cashFlow = result.cashFlows[year];
+      tr.appendChild(createElement('td', { className: 'text-right' },
+        cashFlow ? formatCurrency(cashFlow[valueKey], true) : '—'));
+    });
+    
+    tbody.appendChild(tr);
+  }
+  
+  tableElement.appendChild(tbody);
+  
+  const tfoot = createElement('tfoot');
+  const footerRows = [
+    { label: 'Model Price', cell: ({ result }) => isFinite(result.price) ? formatCurrency(result.price) : '—' },
+    { label: 'Probability', cell: ({ weight }) => formatWeight(weight) || '—' }
+  ];
+  
+  footerRows.forEach(({ label, cell }) => {
+    const tr = createElement('tr');
+    tr.appendChild(createElement('th', { scope: 'row', className: 'text-left' }, label));
+    scenarios.forEach(scenario => {
+      tr.appendChild(createElement('td', { className: 'text-right' }, cell(scenario)));
+    });
+    tfoot.appendChild(tr);
+  });
+  
+  if (weighted) {
+    const tr = createElement('tr');
+    tr.appendChild(createElement('th', { scope: 'row', className: 'text-left' }, 'Probability-Weighted Value'));
+    tr.appendChild(createElement('td', { className: 'text-right', colSpan: scenarios.length },
+      weighted.error ? `Unavailable: ${weighted.error}` : formatCurrency(weighted.value)));
+    tfoot.appendChild(tr);
+  }
+  
+  tableElement.appendChild(tfoot);
+}
+
+/**
+ * Cleanup comparison chart resources
+ */
+export function destroyComparisonChart() {
+  if (comparisonChartInstance) {
+    comparisonChartInstance.destroy();
+    comparisonChartInstance = null;
+  }
+}
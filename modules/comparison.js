@@ -0,0 +1,77 @@
+/**
+ * Comparison Module - Dividend Discount Calculator
+ * One model priced under several named input sets (e.g. bull, base and bear cases),
+ * with an optional probability-weighted value
+ * No DOM access
+ */
+
+import { calculateAllModels, toModelParams } from './calculations.js';
+
+/**
+ * Most input sets compared at once
+ */
+export const MAX_COMPARED_SCENARIOS = 4;
+
+/**
+ * Price one model under each input set
+ * @param {Array<Object>} sets - { name, values, weight, invalidReason }
+ *   values: inputs in UI units; weight: probability (percentage) or null;
+ *   invalidReason: why the inputs the model needs are invalid, or null
+ * @param {string} modelKey - Model compared
+ * @returns {Object} { modelKey, scenarios: [{ name, weight, result }], weighted }
+ */
+export function calculateComparison(sets, modelKey) {
+  const scenarios = sets.slice(0, MAX_COMPARED_SCENARIOS).map(({ name, values, weight, invalidReason }) => ({
+    name,
+    weight,
+    result: invalidReason
+      ? { price: NaN, cashFlows: [], error: { code: 'invalid-input', reason: invalidReason } }
+      : calculateAllModels(toModelParams(values))[modelKey]
+  }));
+  
+  return { modelKey, scenarios, weighted: calculateWeightedValue(scenarios) };
+}
+
+/**
+ * Probability-weighted value: Σ wᵢ × Pᵢ / Σ wᵢ
+ * Weights are percentages; when they do not add up to 100 they are scaled so they do
+ * @param {Array<Object>} scenarios - { name, weight, result } (weight null when not given)
+ * @returns {Object|null} { value, totalWeight, normalized, error } or null when no weights are given
+ */
+export function calculateWeightedValue(scenarios) {
+  const weighted = scenarios.filter(scenario => scenario.weight !== null);
+  
+  if (weighted.length === 0) {
+    return null;
+  }
+  
+  const totalWeight = weighted.reduce((sum, scenario) => sum + scenario.weight, 0);
+  const summary = { value: NaN, totalWeight, normalized: false };
+  
+  if (weighted.length < scenarios.length) {
+    return { ...summary, error: 'Give a probability for every scenario, or for none' };
+  }
+  if (weighted.some(scenario => scenario.weight < 0)) {
+    return { ...summary, error: 'Probabilities cannot be negative' };
+  }
+  if (!(totalWeight > 0)) {
+    return { ...summary, error: 'Probabilities must add up to more than 0%' };
+  }
+  
+  // A scenario given no probability may lack a price; any other must have one
+  const unpriced = weighted.find(scenario => scenario.weight > 0 && !isFinite(scenario.result.price));
+  if (unpriced) {
+    return { ...summary, error: `${unpriced.name} has no valid price` };
+  }
+  
+  const value = weighted
+    .filter(scenario => scenario.weight > 0)
+    .reduce((sum, scenario) => sum + scenario.weight * scenario.result.price, 0) / totalWeight;
+  
+  return {
+    ...summary,
+    value,
+    normalized: Math.abs(totalWeight - 100) > 1e-9,
+    error: null
+  };
+}
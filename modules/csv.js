@@ -0,0 +1,163 @@
+/**
+ * CSV Module - Dividend Discount Calculator
+ * Inputs, model results and cash flows as CSV with raw (unformatted) numbers
+ * No DOM access
+ */
+
+import { INPUT_FIELDS } from './state.js';
+import { MODEL_KEYS, getModelMetadata } from './calculations.js';
+import { getValidationRule } from './validation.js';
+
+/**
+ * Units of the numeric inputs (anything not listed is a percentage)
+ */
+const INPUT_UNITS = {
+  D0: 'dollars',
+  marketPrice: 'dollars',
+  purchasePrice: 'dollars',
+  eps: 'dollars',
+  shortYears: 'years',
+  halfLife: 'years',
+  transitionYears: 'years',
+  horizonYears: 'years',
+  holdingYears: 'years',
+  beta: 'ratio'
+};
+
+/**
+ * Entry modes and model selection documented with the inputs
+ */
+const SETTING_LABELS = {
+  requiredMode: 'Required Return Entry',
+  growthMode: 'Growth Entry',
+  ratioType: 'Earnings Ratio Entered',
+  dividendMode: 'Dividend Entry',
+  selectedModel: 'Selected Model'
+};
+
+/**
+ * Result columns, one row per model shown
+ * Rates are decimals (0.05 = 5%)
+ */
+const RESULT_COLUMNS = [
+  { header: 'model', value: (modelKey) => modelKey },
+  { header: 'model_name', value: (modelKey) => getModelMetadata(modelKey).name },
+  { header: 'price', value: (modelKey, data) => data.price },
+  { header: 'error_code', value: (modelKey, data) => data.error?.code },
+  { header: 'error_reason', value: (modelKey, data) => data.error?.reason },
+  { header: 'trailing_pe', value: (modelKey, data) => data.multiples?.trailingPE },
+  { header: 'leading_pe', value: (modelKey, data) => data.multiples?.leadingPE },
+  { header: 'price_to_book', value: (modelKey, data) => data.multiples?.priceToBook },
+  { header: 'verdict', value: (modelKey, data) => data.verdict?.verdict },
+  { header: 'margin_of_safety', value: (modelKey, data) => data.verdict?.marginOfSafety },
+  { header: 'implied_return', value: (modelKey, data) => data.impliedReturn?.required },
+  { header: 'holding_sale_price', value: (modelKey, data) => data.holdingPeriod?.salePrice },
+  { header: 'holding_irr', value: (modelKey, data) => data.holdingPeriod?.irr }
+];
+
+/**
+ * Cash flow columns repeated for each model shown (header prefixed with the model key)
+ * Columns that do not apply to a model (e.g. EPS without earnings-driven dividends) are left blank
+ */
+const CASH_FLOW_COLUMNS = [
+  { suffix: 'dividend', key: 'dividend' },
+  { suffix: 'present_value', key: 'presentValue' },
+  { suffix: 'cumulative_pv', key: 'cumulativePV' },
+  { suffix: 'terminal_value', key: 'terminalValue' },
+  { suffix: 'price', key: 'intrinsicValue' },
+  { suffix: 'dividend_yield', key: 'dividendYield' },
+  { suffix: 'capital_gains_yield', key: 'capitalGainsYield' },
+  { suffix: 'eps', key: 'eps' },
+  { suffix: 'payout', key: 'payout' }
+];
+
+/**
+ * One CSV cell
+ * Numbers are written in full; non-finite numbers and missing values are blank
+ * @param {*} value - Cell value
+ * @returns {string} CSV text (quoted when it contains a comma, quote or line break)
+ */
+function toCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : '';
+  }
+  
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV line
+ * @param {Array} cells - Cell values
+ * @returns {string} CSV line
+ */
+function toLine(cells) {
+  return cells.map(toCell).join(',');
+}
+
+/**
+ * Build the CSV export: a header block, the inputs, one result row per model and the cash flows
+ * Sections are separated by a blank line and each starts with its own column headers
+ * @param {Object} values - Current state (inputs, entry modes, selected model)
+ * @param {Object} calculations - All model calculations
+ * @param {Date} exportedAt - Time of the export
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function buildCsvExport(values, calculations, exportedAt = new Date()) {
+  const { selectedModel } = values;
+  const modelsToShow = selectedModel === 'all' ? MODEL_KEYS : [selectedModel];
+  const lines = [];
+  
+  // Header block
+  lines.push(
+    toLine(['Dividend Discount Model Calculator']),
+    toLine(['exported_at', exportedAt.toISOString()]),
+    toLine(['selected_model', selectedModel]),
+    toLine(['note', 'Inputs are as entered (unit column). Rates in results and cash flows are decimals (0.05 = 5%). Blank cells have no value.']),
+    ''
+  );
+  
+  // Inputs and entry modes
+  lines.push(toLine(['input', 'value', 'unit', 'label']));
+  INPUT_FIELDS.forEach(field => {
+    const rule = getValidationRule(field);
+    lines.push(toLine([field, values[field], INPUT_UNITS[field] || 'percent', rule ? rule.label : field]));
+  });
+  Object.entries(SETTING_LABELS).forEach(([field, label]) => {
+    lines.push(toLine([field, values[field], '', label]));
+  });
+  lines.push('');
+  
+  // Model results
+  lines.push(toLine(RESULT_COLUMNS.map(column => column.header)));
+  modelsToShow.forEach(modelKey => {
+    lines.push(toLine(RESULT_COLUMNS.map(column => column.value(modelKey, calculations[modelKey]))));
+  });
+  lines.push('');
+  
+  // Cash flows (models without a valid price have blank columns)
+  const headers = ['year', 'discount_factor'];
+  modelsToShow.forEach(modelKey => {
+    CASH_FLOW_COLUMNS.forEach(({ suffix }) => headers.push(`${modelKey}_${suffix}`));
+  });
+  lines.push(toLine(headers));
+  
+  const yearCount = Math.max(0, ...modelsToShow.map(modelKey => calculations[modelKey].cashFlows.length));
+  
+  for (let year = 0; year < yearCount; year++) {
+    const shared = modelsToShow.map(modelKey => calculations[modelKey].cashFlows[year]).find(Boolean);
+    const cells = [year, shared.discountFactor];
+    
+    modelsToShow.forEach(modelKey => {
+      const cashFlow = calculations[modelKey].cashFlows[year] || {};
+      CASH_FLOW_COLUMNS.forEach(({ key }) => cells.push(cashFlow[key]));
+    });
+    
+    lines.push(toLine(cells));
+  }
+  
+  return lines.join('\r\n') + '\r\n';
+}
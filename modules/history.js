@@ -0,0 +1,119 @@
+/**
+ * History Module - Dividend Discount Calculator
+ * Undo/redo stack of input snapshots
+ * No DOM access
+ */
+
+const MAX_ENTRIES = 100;     // Oldest snapshots are dropped beyond this
+const COALESCE_MS = 1500;    // Edits to the same field closer together than this become one step
+
+let past = [];               // Earlier snapshots, oldest first
+let future = [];             // Undone snapshots, next redo last
+let present = null;          // { snapshot, key, time }
+
+/**
+ * Serialize a snapshot for comparison
+ * @param {Object} snapshot - Input snapshot
+ * @returns {string} JSON text
+ */
+function fingerprint(snapshot) {
+  return JSON.stringify(snapshot);
+}
+
+/**
+ * Start a new history from the current inputs (nothing to undo or redo)
+ * @param {Object} snapshot - Current input snapshot
+ */
+export function resetHistory(snapshot) {
+  past = [];
+  future = [];
+  present = { snapshot, key: null, time: 0 };
+}
+
+/**
+ * Record the inputs after a change
+ * Repeated edits to the same field in quick succession (the debounced updates while typing)
+ * replace the latest step instead of adding one; if they end where the step started, the step
+ * is dropped. Unchanged inputs are not recorded.
+ * @param {Object} snapshot - Input snapshot after the change
+ * @param {string|null} key - Field that changed, or null for changes that are never merged
+ * @returns {boolean} True if the history changed
+ */
+export function recordSnapshot(snapshot, key = null) {
+  if (!present) {
+    resetHistory(snapshot);
+    return false;
+  }
+  
+  if (fingerprint(snapshot) === fingerprint(present.snapshot)) {
+    return false;
+  }
+  
+  const now = Date.now();
+  const coalesce = key !== null && key === present.key && now - present.time < COALESCE_MS && past.length > 0;
+  
+  // Typed away and back again: the merged step changes nothing
+  if (coalesce && fingerprint(snapshot) === fingerprint(past[past.length - 1])) {
+    present = { snapshot: past.pop(), key: null, time: 0 };
+    future = [];
+    return true;
+  }
+  
+  if (!coalesce) {
+    past.push(present.snapshot);
+    if (past.length > MAX_ENTRIES) {
+      past.shift();
+    }
+  }
+  
+  present = { snapshot, key, time: now };
+  future = [];
+  
+  return true;
+}
+
+/**
+ * Step back to the previous snapshot
+ * @returns {Object|null} Snapshot to restore, or null if there is nothing to undo
+ */
+export function undo() {
+  if (past.length === 0) {
+    return null;
+  }
+  
+  future.push(present.snapshot);
+  present = { snapshot: past.pop(), key: null, time: 0 };
+  
+  return present.snapshot;
+}
+
+/**
+ * Step forward to the snapshot last undone
+ * @returns {Object|null} Snapshot to restore, or null if there is nothing to redo
+ */
+export function redo() {
+  if (future.length === 0) {
+    return null;
+  }
+  
+  past.push(present.snapshot);
+  present = { snapshot: future.pop(), key: null, time: 0 };
+  
+  return present.snapshot;
+}
+
+/**
+ * Whether undo is available
+ * @returns {boolean} True if there is an earlier snapshot
+ */
+export function canUndo() {
+  return past.length > 0;
+}
+
+/**
+ * Whether redo is available
+ * @returns {boolean} True if there is an undone snapshot
+ */
+export function canRedo() {
+  return future.length > 0;
+}
@@ -0,0 +1,69 @@
+/**
+ * Holding Period Module
+ * Buy at a given price, collect the model's dividends, sell at the model-implied price
+ * Pure functions (no DOM access)
+ */
+
+import { findRoot } from './solver.js';
+
+const MIN_IRR = -0.99;  // Lower bound for IRR search (-99%)
+const MAX_IRR = 10;     // Upper bound for IRR search (1000%)
+
+/**
+ * Internal rate of return of a series of annual cash flows (index = year)
+ * @param {Array<number>} flows - Cash flows, year 0 first
+ * @returns {number} IRR (decimal), or NaN if none is found
+ */
+export function solveIrr(flows) {
+  const npv = (rate) => flows.reduce((sum, flow, year) => sum + flow / Math.pow(1 + rate, year), 0);
+  
+  return findRoot(npv, MIN_IRR, MAX_IRR);
+}
+
+/**
+ * Holding-period analysis for one model
+ * The sale price is the model-implied price at the end of the holding period (price path)
+ * IRR splits into a capital gains yield (annualised price change) and a dividend yield (the rest)
+ * The model result is left unchanged; the sale is described by saleYear and salePrice
+ * @param {Object} result - Model result (price and cash flows with price path)
+ * @param {number} purchasePrice - Price paid at year 0
+ * @param {number} holdingYears - Years held before selling
+ * @returns {Object|null} { purchasePrice, holdingYears, saleYear, salePrice, irr, dividendYield, capitalGainsYield, error }
+ *   or null when the model has no valid price
+ */
+export function calculateHoldingPeriod(result, purchasePrice, holdingYears) {
+  if (!isFinite(result.price)) {
+    return null;
+  }
+  
+  const summary = { purchasePrice, holdingYears, saleYear: holdingYears };
+  
+  if (holdingYears > result.cashFlows.length - 1) {
+    return { ...summary, error: 'Holding period extends beyond the forecast horizon' };
+  }
+  
+  const salePrice = result.cashFlows[holdingYears].intrinsicValue;
+  
+  const flows = [-purchasePrice];
+  for (let year = 1; year <= holdingYears; year++) {
+    flows.push(result.cashFlows[year].dividend);
+  }
+  flows[holdingYears] += salePrice;
+  
+  const irr = solveIrr(flows);
+  
+  if (!isFinite(irr)) {
+    return { ...summary, salePrice, error: 'No IRR found for these cash flows' };
+  }
+  
+  const capitalGainsYield = Math.pow(salePrice / purchasePrice, 1 / holdingYears) - 1;
+  
+  return {
+    ...summary,
+    salePrice,
+    irr,
+    dividendYield: irr - capitalGainsYield,
+    capitalGainsYield,
+    error: null
+  };
+}
@@ -4,12 +4,12 @@
  */
 
 import { formatCurrency, createElement } from './utils.js';
-import { getModelMetadata } from './calculations.js';
+import { getModelMetadata, MODEL_KEYS } from './calculations.js';
 
 /**
  * Render results section
- * @param {Object} calculations - All three model calculations
- * @param {string} selectedModel - Selected model ('all', 'constant', 'growth', 'changing')
+ * @param {Object} calculations - All model calculations
+ * @param {string} selectedModel - Selected model ('all' or a model key)
  */
 export function renderResults(calculations, selectedModel) {
   const container = document.getElementById('results-content');
@@ -24,7 +24,7 @@ export function renderResults(calculations, selectedModel) {
   
   // Determine which models to display
   const modelsToShow = selectedModel === 'all' 
-    ? ['constant', 'growth', 'changing']
+    ? MODEL_KEYS
     : [selectedModel];
   
   // Create result boxes for each model
@@ -71,6 +71,13 @@ function createResultBox(modelData, metadata, modelKey) {
   
   box.appendChild(valueDiv);
   
+  // Why the model could not be calculated
+  if (modelData.error) {
+    box.appendChild(createElement('div', {
+      className: 'result-implied no-solution'
+    }, modelData.error.reason));
+  }
+  
   // Description
   const description = createElement('div', { 
     className: 'result-description' 
@@ -83,5 +90,194 @@ function createResultBox(modelData, metadata, modelKey) {
   }, metadata.formula);
   box.appendChild(formula);
   
+  // Justified multiples (when earnings are known)
+  if (modelData.multiples) {
+    box.appendChild(createMultiples(modelData.multiples));
+  }
+  
+  // Verdict against the market price
+  if (modelData.verdict) {
+    box.appendChild(createVerdict(modelData.verdict));
+  }
+  
+  // Holding-period IRR (buy, collect dividends, sell at the model-implied price)
+  if (modelData.holdingPeriod) {
+    box.appendChild(createHoldingPeriod(modelData.holdingPeriod));
+  }
+  
+  // Implied required return from market price
+  if (modelData.impliedReturn) {
+    box.appendChild(createImpliedReturn(modelData.impliedReturn));
+  }
+  
+  // Sustainable growth derivation (fundamentals mode)
+  if (modelData.growthDerivation) {
+    box.appendChild(createGrowthDerivation(modelData.growthDerivation, modelKey));
+  }
+  
+  // Earnings-driven dividend basis
+  if (modelData.earnings) {
+    box.appendChild(createEarningsBasis(modelData.earnings));
+  }
+  
+  // Stage breakdown (multi-stage models)
+  if (modelData.stages && isFinite(modelData.price)) {
+    box.appendChild(createStageBreakdown(modelData.stages, modelData.price));
+  }
+  
   return box;
+}
+
+/**
+ * Create justified multiples list
+ * @param {Object} multiples - { trailingPE, leadingPE, priceToBook }
+ * @returns {Element} Definition list element
+ */
+function createMultiples({ trailingPE, leadingPE, priceToBook }) {
+  const rows = [
+    ['Justified trailing P/E', trailingPE],
+    ['Justified leading P/E', leadingPE]
+  ];
+  
+  if (priceToBook !== null) {
+    rows.push(['Justified P/B', priceToBook]);
+  }
+  
+  const list = createElement('dl', { className: 'result-stages' });
+  
+  rows.forEach(([label, value]) => {
+    list.appendChild(createElement('dt', {}, label));
+    list.appendChild(createElement('dd', {}, `${value.toFixed(2)}×`));
+  });
+  
+  return list;
+}
+
+/**
+ * Create valuation verdict (under/fair/overvalued, difference and margin of safety)
+ * @param {Object} verdict - { verdict, difference, marginOfSafety }
+ * @returns {Element} Verdict element
+ */
+function createVerdict({ verdict, difference, marginOfSafety }) {
+  const verdictLabels = {
+    undervalued: 'Undervalued',
+    fair: 'Fairly valued',
+    overvalued: 'Overvalued'
+  };
+  
+  const container = createElement('div', {
+    className: `result-verdict verdict-${verdict}`
+  });
+  
+  container.appendChild(createElement('div', {
+    className: 'result-verdict-label'
+  }, verdictLabels[verdict]));
+  
+  const sign = (value) => value >= 0 ? '+' : '−';
+  container.appendChild(createElement('div', {},
+    `${sign(difference)}${Math.abs(difference * 100).toFixed(1)}% vs market price · ` +
+    `Margin of safety ${sign(marginOfSafety)}${Math.abs(marginOfSafety * 100).toFixed(1)}%`
+  ));
+  
+  return container;
+}
+
+/**
+ * Create holding-period summary (IRR split into dividend and capital gains yields)
+ * @param {Object} holding - Holding-period analysis
+ * @returns {Element} Holding-period element
+ */
+function createHoldingPeriod(holding) {
+  const { purchasePrice, holdingYears, salePrice, irr, dividendYield, capitalGainsYield, error } = holding;
+  const percent = (value) => `${(value * 100).toFixed(2)}%`;
+  
+  if (error) {
+    return createElement('div', {
+      className: 'result-implied no-solution'
+    }, `Holding period: ${error}.`);
+  }
+  
+  const container = createElement('div', { className: 'result-holding' });
+  
+  container.appendChild(createElement('div', { className: 'result-implied' },
+    `Buy at ${formatCurrency(purchasePrice)}, sell year ${holdingYears} at ${formatCurrency(salePrice)}: IRR ${percent(irr)}`
+  ));
+  
+  const list = createElement('dl', { className: 'result-stages' });
+  list.appendChild(createElement('dt', {}, 'Dividend yield'));
+  list.appendChild(createElement('dd', {}, percent(dividendYield)));
+  list.appendChild(createElement('dt', {}, 'Capital gains yield'));
+  list.appendChild(createElement('dd', {}, percent(capitalGainsYield)));
+  container.appendChild(list);
+  
+  return container;
+}
+
+/**
+ * Create implied required return line
+ * @param {Object} impliedReturn - Solver result ({ required, error })
+ * @returns {Element} Implied return element
+ */
+function createImpliedReturn(impliedReturn) {
+  if (impliedReturn.error) {
+    return createElement('div', {
+      className: 'result-implied no-solution'
+    }, `Implied r: no solution. ${impliedReturn.error}.`);
+  }
+  
+  return createElement('div', {
+    className: 'result-implied'
+  }, `Implied r at market price: ${(impliedReturn.required * 100).toFixed(2)}%`);
+}
+
+/**
+ * Create sustainable growth derivation line (g = ROE × b)
+ * @param {Object} derivation - { roe, retention, growth } as percentages
+ * @param {string} modelKey - Model identifier
+ * @returns {Element} Derivation element
+ */
+function createGrowthDerivation({ roe, retention, growth }, modelKey) {
+  const symbol = modelKey === 'growth' ? 'g' : 'gL';
+  
+  return createElement('div', {
+    className: 'result-implied'
+  }, `${symbol} = ROE × b = ${roe}% × ${retention}% = ${growth}%`);
+}
+
+/**
+ * Create earnings-driven dividend line (DPS = EPS × payout by stage)
+ * @param {Object} earnings - { eps, payoutHigh, payoutMature } (payouts as decimals)
+ * @returns {Element} Earnings basis element
+ */
+function createEarningsBasis({ eps, payoutHigh, payoutMature }) {
+  return createElement('div', {
+    className: 'result-implied'
+  }, `DPS = EPS × payout: E₀ ${formatCurrency(eps)}, payout ${+(payoutHigh * 100).toFixed(2)}% ` +
+    `then ${+(payoutMature * 100).toFixed(2)}%`);
+}
+
+/**
+ * Create PV-by-stage breakdown list
+ * @param {Object} stages - PV of each stage ({ high, transition, terminal })
+ * @param {number} price - Model price
+ * @returns {Element} Definition list element
+ */
+function createStageBreakdown(stages, price) {
+  const stageLabels = {
+    high: 'High growth',
+    transition: 'Transition',
+    terminal: 'Mature (terminal)'
+  };
+  
+  const list = createElement('dl', { className: 'result-stages' });
+  
+  Object.entries(stageLabels).forEach(([stageKey, label]) => {
+    const pv = stages[stageKey];
+    const share = (pv / price * 100).toFixed(1);
+    
+    list.appendChild(createElement('dt', {}, label));
+    list.appendChild(createElement('dd', {}, `${formatCurrency(pv)} (${share}%)`));
+  });
+  
+  return list;
 }
\ No newline at end of file
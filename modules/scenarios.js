@@ -0,0 +1,265 @@
+/**
+ * Scenarios Module - Dividend Discount Calculator
+ * Named input sets saved to localStorage and exchanged as JSON files
+ * No DOM access (storage only)
+ */
+
+import { state, INPUT_FIELDS } from './state.js';
+import { MODEL_KEYS } from './calculations.js';
+
+/**
+ * Current scenario schema version
+ * Bump when a saved field is renamed or changes meaning, and add a migration below.
+ * Newly added inputs need no migration: scenarios without them load with the defaults.
+ */
+export const SCENARIO_SCHEMA_VERSION = 1;
+
+const STORAGE_KEY = 'ddm-calculator-scenarios';
+const FILE_FORMAT = 'ddm-calculator-scenarios';
+
+/**
+ * Allowed values for the saved entry modes and model selection
+ */
+const CHOICE_FIELDS = {
+  requiredMode: ['direct', 'capm'],
+  growthMode: ['direct', 'fundamentals'],
+  ratioType: ['payout', 'retention'],
+  dividendMode: ['direct', 'earnings'],
+  selectedModel: ['all', ...MODEL_KEYS]
+};
+
+/**
+ * Stored direct-entry values, restored when leaving a derived entry mode
+ */
+const DIRECT_FIELDS = ['directRequired', 'directD0'];
+
+/**
+ * Defaults for anything a scenario does not contain
+ * Captured at load time, before any input changes the state
+ */
+const DEFAULT_INPUTS = JSON.parse(JSON.stringify(captureInputs(state)));
+
+/**
+ * Upgrade steps keyed by the version they upgrade from
+ * Each receives the scenario inputs of that version and returns inputs for the next
+ */
+const MIGRATIONS = {};
+
+/**
+ * Copy the inputs a scenario saves from a state-like object
+ * Inputs, entry modes with their stored direct values, and the selected model
+ * @param {Object} values - Current state
+ * @returns {Object} Scenario inputs
+ */
+export function captureInputs(values) {
+  const inputs = {};
+  
+  INPUT_FIELDS.forEach(field => {
+    inputs[field] = Number.isFinite(values[field]) ? values[field] : null;
+  });
+  
+  Object.keys(CHOICE_FIELDS).forEach(field => {
+    inputs[field] = values[field];
+  });
+  
+  DIRECT_FIELDS.forEach(field => {
+    inputs[field] = Number.isFinite(values[field]) ? values[field] : null;
+  });
+  inputs.directGrowth = { ...values.directGrowth };
+  
+  return inputs;
+}
+
+/**
+ * Fill in missing or malformed values with the defaults
+ * Numbers may be null (a blank input); anything else falls back to the default
+ * @param {Object} saved - Inputs read from storage or a file
+ * @returns {Object} Complete scenario inputs
+ */
+export function normalizeInputs(saved) {
+  const source = saved && typeof saved === 'object' ? saved : {};
+  const isNumberOrBlank = (value) => value === null || Number.isFinite(value);
+  const inputs = {};
+  
+  [...INPUT_FIELDS, ...DIRECT_FIELDS].forEach(field => {
+    inputs[field] = isNumberOrBlank(source[field]) ? source[field] : DEFAULT_INPUTS[field];
+  });
+  
+  Object.entries(CHOICE_FIELDS).forEach(([field, choices]) => {
+    inputs[field] = choices.includes(source[field]) ? source[field] : DEFAULT_INPUTS[field];
+  });
+  
+  const directGrowth = source.directGrowth && typeof source.directGrowth === 'object' ? source.directGrowth : {};
+  inputs.directGrowth = {};
+  ['gConst', 'gLong'].forEach(field => {
+    inputs.directGrowth[field] = isNumberOrBlank(directGrowth[field])
+      ? directGrowth[field]
+      : DEFAULT_INPUTS.directGrowth[field];
+  });
+  
+  return inputs;
+}
+
+/**
+ * Bring saved scenarios up to the current schema version
+ * @param {Object} data - { version, scenarios }
+ * @returns {Object} { scenarios, error } (error is null on success)
+ */
+function migrate(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.scenarios)) {
+    return { scenarios: [], error: 'No scenarios found' };
+  }
+  
+  let version = Number.isInteger(data.version) ? data.version : 1;
+  
+  if (version > SCENARIO_SCHEMA_VERSION) {
+    return { scenarios: [], error: 'Saved by a newer version of the calculator' };
+  }
+  
+  let scenarios = data.scenarios.filter(scenario => scenario && typeof scenario.name === 'string');
+  
+  while (version < SCENARIO_SCHEMA_VERSION) {
+    const upgrade = MIGRATIONS[version];
+    scenarios = scenarios.map(scenario => ({ ...scenario, inputs: upgrade(scenario.inputs) }));
+    version++;
+  }
+  
+  return {
+    scenarios: scenarios.map(scenario => ({
+      id: typeof scenario.id === 'string' ? scenario.id : createId(),
+      name: scenario.name.trim() || 'Untitled',
+      savedAt: typeof scenario.savedAt === 'string' ? scenario.savedAt : new Date().toISOString(),
+      inputs: normalizeInputs(scenario.inputs)
+    })),
+    error: null
+  };
+}
+
+/**
+ * Unique scenario identifier
+ * @returns {string} Identifier
+ */
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Create a scenario from the current state
+ * @param {string} name - Scenario name
+ * @param {Object} values - Current state
+ * @returns {Object} Scenario ({ id, name, savedAt, inputs })
+ */
+export function createScenario(name, values) {
+  return {
+    id: createId(),
+    name,
+    savedAt: new Date().toISOString(),
+    inputs: captureInputs(values)
+  };
+}
+
+/**
+ * Copy of a scenario under a new name (new identifier, same inputs)
+ * @param {Object} scenario - Scenario to copy
+ * @param {string} name - Name for the copy
+ * @returns {Object} Scenario
+ */
+export function copyScenario(scenario, name) {
+  return {
+    id: createId(),
+    name,
+    savedAt: scenario.savedAt,
+    inputs: JSON.parse(JSON.stringify(scenario.inputs))
+  };
+}
+
+/**
+ * Name that no other scenario uses, adding " (2)", " (3)", ... when needed
+ * @param {string} name - Preferred name
+ * @param {Array<Object>} scenarios - Existing scenarios
+ * @returns {string} Unique name
+ */
+export function uniqueName(name, scenarios) {
+  const taken = new Set(scenarios.map(scenario => scenario.name));
+  
+  if (!taken.has(name)) {
+    return name;
+  }
+  
+  let suffix = 2;
+  while (taken.has(`${name} (${suffix})`)) {
+    suffix++;
+  }
+  
+  return `${name} (${suffix})`;
+}
+
+/**
+ * Read saved scenarios from localStorage
+ * @returns {Array<Object>} Scenarios (empty when none are saved or storage is unavailable)
+ */
+export function loadSavedScenarios() {
+  try {
+    const text = localStorage.getItem(STORAGE_KEY);
+    if (!text) return [];
+    
+    const { scenarios, error } = migrate(JSON.parse(text));
+    if (error) {
+      console.warn(`Saved scenarios ignored: ${error}`);
+    }
+    return scenarios;
+  } catch (error) {
+    console.warn('Saved scenarios could not be read:', error);
+    return [];
+  }
+}
+
+/**
+ * Write scenarios to localStorage
+ * @param {Array<Object>} scenarios - Scenarios to keep
+ * @returns {boolean} True if saved
+ */
+export function storeScenarios(scenarios) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCENARIO_SCHEMA_VERSION, scenarios }));
+    return true;
+  } catch (error) {
+    console.warn('Scenarios could not be saved:', error);
+    return false;
+  }
+}
+
+/**
+ * Serialize scenarios for a JSON export file
+ * @param {Array<Object>} scenarios - Scenarios to export
+ * @returns {string} JSON text
+ */
+export function exportScenarios(scenarios) {
+  return JSON.stringify({
+    format: FILE_FORMAT,
+    version: SCENARIO_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    scenarios
+  }, null, 2);
+}
+
+/**
+ * Parse a JSON export file, upgrading older schema versions
+ * @param {string} text - File contents
+ * @returns {Object} { scenarios, error } (error is null on success)
+ */
+export function importScenarios(text) {
+  let data;
+  
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { scenarios: [], error: 'The file is not valid JSON' };
+  }
+  
+  if (!data || data.format !== FILE_FORMAT) {
+    return { scenarios: [], error: 'The file is not a scenario export from this calculator' };
+  }
+  
+  return migrate(data);
+}
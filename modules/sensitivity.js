@@ -0,0 +1,184 @@
+/**
+ * Sensitivity Module - Dividend Discount Calculator
+ * Two-way heat-map table of model price across required return and growth
+ */
+
+import { formatCurrency, createElement } from './utils.js';
+import { calculateAllModels, getModelMetadata, toModelParams, GROWTH_FIELDS } from './calculations.js';
+
+/**
+ * Build grid values centred on a base value
+ * @param {number} center - Base value
+ * @param {number} step - Step between grid points
+ * @param {number} steps - Number of points on each side of the centre
+ * @returns {Array<number>} Grid values in ascending order
+ */
+function buildAxis(center, step, steps) {
+  const values = [];
+  for (let i = -steps; i <= steps; i++) {
+    // Round away floating-point noise so labels read cleanly
+    values.push(Math.round((center + i * step) * 1e6) / 1e6);
+  }
+  return values;
+}
+
+/**
+ * Calculate the sensitivity grid for one model
+ * Columns vary the model's perpetual growth input (GROWTH_FIELDS)
+ * @param {Object} inputs - Current input values (UI units, percentages)
+ * @param {string} modelKey - Model identifier
+ * @param {Object} options - { rStep, gStep, steps } in percentage points
+ * @returns {Object} { growthField, requiredValues, growthValues, cells, basePrice }
+ */
+export function calculateSensitivityGrid(inputs, modelKey, { rStep, gStep, steps }) {
+  const growthField = GROWTH_FIELDS[modelKey];
+  const requiredValues = buildAxis(inputs.required, rStep, steps);
+  const growthValues = growthField ? buildAxis(inputs[growthField], gStep, steps) : [null];
+  
+  const cells = requiredValues.map(required => growthValues.map(growth => {
+    if (growthField && growth >= required) {
+      return { required, growth, price: NaN, invalid: 'g ≥ r' };
+    }
+    
+    const values = growthField
+      ? { ...inputs, required, [growthField]: growth }
+      : { ...inputs, required };
+    
+    // Reuse the main calculation so grid prices match the results exactly
+    const price = calculateAllModels(toModelParams(values))[modelKey].price;
+    
+    return {
+      required,
+      growth,
+      price,
+      invalid: isFinite(price) ? null : 'n/a'
+    };
+  }));
+  
+  const basePrice = cells[steps][growthField ? steps : 0].price;
+  
+  return { growthField, requiredValues, growthValues, cells, basePrice };
+}
+
+/**
+ * Heat-map background for a cell relative to the base price
+ * Green above the base price, red below, white at the base
+ * @param {number} price - Cell price
+ * @param {number} basePrice - Price at current inputs
+ * @param {number} maxDeviation - Largest absolute relative deviation in the grid
+ * @returns {string} CSS colour
+ */
+function heatColor(price, basePrice, maxDeviation) {
+  if (!isFinite(basePrice) || maxDeviation === 0) {
+    return 'transparent';
+  }
+  
+  const deviation = (price - basePrice) / basePrice;
+  const intensity = Math.min(Math.abs(deviation) / maxDeviation, 1);
+  const alpha = (0.08 + intensity * 0.42).toFixed(2);
+  
+  return deviation >= 0
+    ? `rgba(22, 163, 74, ${alpha})`
+    : `rgba(220, 38, 38, ${alpha})`;
+}
+
+/**
+ * Render sensitivity table
+ * @param {Object} inputs - Current input values (UI units, percentages)
+ * @param {string} modelKey - Model identifier
+ * @param {Object} options - { rStep, gStep, steps } in percentage points
+ * @param {string|null} invalidReason - Why the inputs the model needs are invalid, or null
+ */
+export function renderSensitivity(inputs, modelKey, options, invalidReason = null) {
+  const tableElement = document.getElementById('sensitivity-table-element');
+  
+  if (!tableElement) {
+    console.error('Sensitivity table element not found');
+    return;
+  }
+  
+  tableElement.innerHTML = '';
+  
+  const metadata = getModelMetadata(modelKey);
+  
+  // No grid around inputs the main view has rejected
+  if (invalidReason) {
+    tableElement.appendChild(createElement('caption', { className: 'table-empty-caption' },
+      `No sensitivity grid to show. ${metadata.name}: ${invalidReason}.`));
+    return;
+  }
+  
+  const grid = calculateSensitivityGrid(inputs, modelKey, options);
+  const { growthField, requiredValues, growthValues, cells, basePrice } = grid;
+  
+  const validPrices = cells.flat().filter(cell => !cell.invalid).map(cell => cell.price);
+  const maxDeviation = isFinite(basePrice)
+    ? Math.max(0, ...validPrices.map(price => Math.abs(price - basePrice) / basePrice))
+    : 0;
+  
+  // Caption
+  const growthLabel = growthField === 'gConst' ? 'constant growth rate' : 'long-term growth rate';
+  const captionText = growthField
+    ? `${metadata.name} price sensitivity. Rows vary required return, columns vary ${growthLabel}. ` +
+      'Cells marked "g ≥ r" have no valid price. The cell for the current inputs is marked.'
+    : `${metadata.name} price sensitivity to required return. This model has no growth rate.`;
+  
+  tableElement.appendChild(createElement('caption', { className: 'sr-only' }, captionText));
+  
+  // Header row: growth values
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  
+  headerRow.appendChild(createElement('th', {
+    scope: 'col',
+    className: 'text-left'
+  }, growthField ? 'r \\ g' : 'r'));
+  
+  growthValues.forEach(growth => {
+    headerRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: 'text-right'
+    }, growth === null ? 'Price' : `${growth}%`));
+  });
+  
+  thead.appendChild(headerRow);
+  tableElement.appendChild(thead);
+  
+  // Body rows: required return values
+  const tbody = createElement('tbody');
+  
+  requiredValues.forEach((required, rowIndex) => {
+    const tr = createElement('tr');
+    
+    tr.appendChild(createElement('th', {
+      scope: 'row',
+      className: 'text-left'
+    }, `${required}%`));
+    
+    cells[rowIndex].forEach(cell => {
+      const isBase = required === inputs.required &&
+        (!growthField || cell.growth === inputs[growthField]);
+      
+      const td = createElement('td', {
+        className: `text-right${cell.invalid ? ' cell-invalid' : ''}${isBase ? ' cell-base' : ''}`
+      });
+      
+      if (cell.invalid) {
+        td.textContent = cell.invalid;
+      } else {
+        td.textContent = formatCurrency(cell.price);
+        td.style.backgroundColor = heatColor(cell.price, basePrice, maxDeviation);
+      }
+      
+      if (isBase) {
+        td.appendChild(createElement('span', { className: 'sr-only' }, ' (current inputs)'));
+      }
+      
+      tr.appendChild(td);
+    });
+    
+    tbody.appendChild(tr);
+  });
+  
+  tableElement.appendChild(tbody);
+}
@@ -0,0 +1,135 @@
+/**
+ * Share Module - Dividend Discount Calculator
+ * Encodes inputs, model and view in the URL query string so a link reopens the same valuation
+ * No DOM access
+ */
+
+import { state } from './state.js';
+import { captureInputs, normalizeInputs } from './scenarios.js';
+
+/**
+ * Views a link may open
+ */
+export const VIEW_MODES = ['chart', 'table', 'sensitivity', 'simulation'];
+
+/**
+ * Parameter names that differ from the state key they hold
+ */
+const PARAM_NAMES = {
+  selectedModel: 'model',
+  'directGrowth.gConst': 'directGConst',
+  'directGrowth.gLong': 'directGLong'
+};
+
+const STATE_KEYS = Object.fromEntries(Object.entries(PARAM_NAMES).map(([key, name]) => [name, key]));
+
+const DEFAULT_VIEW = state.viewMode;
+
+/**
+ * Flatten scenario inputs to parameter name → value (nested directGrowth included)
+ * @param {Object} inputs - Scenario inputs
+ * @returns {Object} Values keyed by parameter name
+ */
+function toParams(inputs) {
+  const { directGrowth, ...rest } = inputs;
+  const flat = {
+    ...rest,
+    'directGrowth.gConst': directGrowth.gConst,
+    'directGrowth.gLong': directGrowth.gLong
+  };
+  
+  const params = {};
+  Object.entries(flat).forEach(([key, value]) => {
+    params[PARAM_NAMES[key] || key] = value;
+  });
+  
+  return params;
+}
+
+/**
+ * Rebuild scenario inputs from parameter name → value
+ * @param {Object} params - Values keyed by parameter name
+ * @returns {Object} Scenario inputs (possibly incomplete)
+ */
+function fromParams(params) {
+  const flat = {};
+  Object.entries(params).forEach(([name, value]) => {
+    flat[STATE_KEYS[name] || name] = value;
+  });
+  
+  const { 'directGrowth.gConst': gConst, 'directGrowth.gLong': gLong, ...inputs } = flat;
+  inputs.directGrowth = { gConst, gLong };
+  
+  return inputs;
+}
+
+const DEFAULT_PARAMS = toParams(normalizeInputs({}));
+
+/**
+ * Query string for the current state
+ * Only values that differ from the defaults are included, which keeps links short
+ * @param {Object} values - Current state
+ * @returns {string} Query string without the leading "?" (empty when everything is default)
+ */
+export function encodeShareQuery(values) {
+  const query = new URLSearchParams();
+  
+  Object.entries(toParams(captureInputs(values))).forEach(([name, value]) => {
+    if (value !== DEFAULT_PARAMS[name]) {
+      query.set(name, value === null ? '' : String(value));
+    }
+  });
+  
+  if (values.viewMode !== DEFAULT_VIEW) {
+    query.set('view', values.viewMode);
+  }
+  
+  return query.toString();
+}
+
+/**
+ * Read inputs, model and view from a query string
+ * Unknown parameters and values that cannot be used are reported and replaced by defaults;
+ * range checks are left to validation
+ * @param {string} search - Query string (with or without the leading "?")
+ * @returns {Object} { inputs, viewMode, given, problems }
+ *   given: usable parameter names in the link (input fields keep their own names); problems: messages
+ */
+export function decodeShareQuery(search) {
+  const query = new URLSearchParams(search);
+  const params = {};
+  const problems = [];
+  let viewMode = DEFAULT_VIEW;
+  
+  query.forEach((value, name) => {
+    if (name === 'view') {
+      if (VIEW_MODES.includes(value)) {
+        viewMode = value;
+      } else {
+        problems.push(`view "${value}" is not a view; showing the chart`);
+      }
+      return;
+    }
+    
+    if (!(name in DEFAULT_PARAMS)) {
+      problems.push(`unknown setting "${name}" was ignored`);
+      return;
+    }
+    
+    // Numbers are parsed; text settings (modes, model) are kept as given
+    const isNumeric = DEFAULT_PARAMS[name] === null || typeof DEFAULT_PARAMS[name] === 'number';
+    params[name] = isNumeric ? (value === '' ? null : Number(value)) : value;
+  });
+  
+  const inputs = normalizeInputs(fromParams(params));
+  const normalized = toParams(inputs);
+  
+  Object.entries(params).forEach(([name, value]) => {
+    if (normalized[name] !== value) {
+      problems.push(`${name} "${query.get(name)}" is not a valid value; using the default`);
+      delete params[name];
+    }
+  });
+  
+  return { inputs, viewMode, given: Object.keys(params), problems };
+}
@@ -0,0 +1,182 @@
+/**
+ * Simulation View Module - Dividend Discount Calculator
+ * Renders Monte Carlo summary table and price histogram
+ */
+
+import { formatCurrency, createElement } from './utils.js';
+import { getModelMetadata, MODEL_KEYS } from './calculations.js';
+
+let histogramInstance = null;
+
+/**
+ * Render simulation summary table and histogram
+ * @param {Object} summary - Simulation summary keyed by model identifier
+ * @param {string} histogramModel - Model shown in the histogram
+ * @param {Object} runInfo - { draws, seed } used for the run
+ */
+export function renderSimulation(summary, histogramModel, runInfo) {
+  renderSummaryTable(summary, runInfo);
+  renderHistogram(summary[histogramModel], histogramModel);
+}
+
+/**
+ * Render per-model summary table (mean, percentiles, draw counts)
+ * @param {Object} summary - Simulation summary keyed by model identifier
+ * @param {Object} runInfo - { draws, seed } used for the run
+ */
+function renderSummaryTable(summary, { draws, seed }) {
+  const tableElement = document.getElementById('simulation-table-element');
+  
+  if (!tableElement) {
+    console.error('Simulation table element not found');
+    return;
+  }
+  
+  tableElement.innerHTML = '';
+  
+  tableElement.appendChild(createElement('caption', { className: 'sr-only' },
+    `Monte Carlo price distribution for each model from ${draws.toLocaleString('en-US')} draws, seed ${seed}. ` +
+    'Draws that leave a model without a valid price (for example growth at or above required return) are discarded and counted. ' +
+    'Models with invalid inputs are not valued.'
+  ));
+  
+  const headers = ['Model', 'Mean', '5th', '25th', 'Median', '75th', '95th', 'Valid', 'Discarded'];
+  
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  headers.forEach((header, index) => {
+    headerRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: index === 0 ? 'text-left' : 'text-right'
+    }, header));
+  });
+  thead.appendChild(headerRow);
+  tableElement.appendChild(thead);
+  
+  const tbody = createElement('tbody');
+  
+  MODEL_KEYS.forEach(modelKey => {
+    const { mean, percentiles, valid, invalid, error } = summary[modelKey];
+    const tr = createElement('tr');
+    
+    tr.appendChild(createElement('th', {
+      scope: 'row',
+      className: 'text-left'
+    }, getModelMetadata(modelKey).name));
+    
+    if (error) {
+      tr.appendChild(createElement('td', { className: 'text-left', colSpan: headers.length - 1 },
+        `Not valued: ${error}`));
+      tbody.appendChild(tr);
+      return;
+    }
+    
+    const values = [mean, percentiles[5], percentiles[25], percentiles[50], percentiles[75], percentiles[95]];
+    values.forEach(value => {
+      tr.appendChild(createElement('td', { className: 'text-right' },
+        isFinite(value) ? formatCurrency(value) : '—'));
+    });
+    
+    tr.appendChild(createElement('td', { className: 'text-right' }, valid.toLocaleString('en-US')));
+    tr.appendChild(createElement('td', { className: 'text-right' }, invalid.toLocaleString('en-US')));
+    
+    tbody.appendChild(tr);
+  });
+  
+  tableElement.appendChild(tbody);
+}
+
+/**
+ * Render histogram of simulated prices for one model
+ * @param {Object} modelSummary - Summary for the model
+ * @param {string} modelKey - Model identifier
+ */
+function renderHistogram(modelSummary, modelKey) {
+  const canvas = document.getElementById('simulation-chart');
+  
+  if (!canvas) {
+    console.error('Simulation chart canvas not found');
+    return;
+  }
+  
+  const metadata = getModelMetadata(modelKey);
+  const { histogram, percentiles, valid, error } = modelSummary;
+  
+  let label = `No valid draws for the ${metadata.name}.`;
+  if (error) {
+    label = `The ${metadata.name} was not valued: ${error}.`;
+  } else if (valid > 0) {
+    label = `Histogram of simulated ${metadata.name} prices. Median ${formatCurrency(percentiles[50])}, ` +
+      `90% of valid draws between ${formatCurrency(percentiles[5])} and ${formatCurrency(percentiles[95])}. ` +
+      'Full figures are in the summary table.';
+  }
+  
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label', label);
+  
+  destroyHistogram();
+  
+  histogramInstance = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: histogram.map(bin => formatCurrency((bin.from + bin.to) / 2)),
+      datasets: [{
+        label: metadata.name,
+        data: histogram.map(bin => bin.count),
+        backgroundColor: metadata.color,
+        borderColor: '#333',
+        borderWidth: 1,
+        barPercentage: 1,
+        categoryPercentage: 1
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          callbacks: {
+            title: (context) => {
+              const bin = histogram[context[0].dataIndex];
+              return `${formatCurrency(bin.from)} – ${formatCurrency(bin.to)}`;
+            },
+            label: (context) => `${context.parsed.y.toLocaleString('en-US')} draws`
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: `${metadata.name} price`
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Draws'
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Cleanup histogram resources
+ */
+export function destroyHistogram() {
+  if (histogramInstance) {
+    histogramInstance.destroy();
+    histogramInstance = null;
+  }
+}
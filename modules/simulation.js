@@ -0,0 +1,199 @@
+/**
+ * Monte Carlo Simulation Module
+ * Seedable random draws of uncertain inputs, valued with every model
+ * Pure functions (no DOM access)
+ */
+
+import { calculateAllModels, toModelParams, MODEL_KEYS } from './calculations.js';
+
+/**
+ * Inputs that may be given a distribution
+ */
+export const SIMULATED_FIELDS = ['required', 'gConst', 'gShort', 'gLong'];
+
+/**
+ * Simulated fields that take another field's draw instead of their own
+ * With growth from fundamentals, constant and long-term growth are both ROE × b
+ * @param {string} growthMode - 'direct' or 'fundamentals'
+ * @returns {Object} { field: sourceField }
+ */
+export function getTiedFields(growthMode) {
+  return growthMode === 'fundamentals' ? { gLong: 'gConst' } : {};
+}
+
+const PERCENTILES = [5, 25, 50, 75, 95];
+const HISTOGRAM_BINS = 20;
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  
+  return function next() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw one value from a distribution centred on a base value
+ * normal: standard deviation = spread
+ * uniform: base ± spread
+ * triangular: minimum base - spread, mode base, maximum base + spread
+ * @param {Function} rng - Random number generator
+ * @param {number} base - Centre of the distribution (current input)
+ * @param {Object} distribution - { type, spread }
+ * @returns {number} Sampled value
+ */
+export function sampleDistribution(rng, base, { type, spread }) {
+  switch (type) {
+    case 'normal': {
+      // Box–Muller transform (1 - u avoids log(0))
+      const u1 = 1 - rng();
+      const u2 = rng();
+      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      return base + z * spread;
+    }
+    case 'uniform':
+      return base - spread + 2 * spread * rng();
+    case 'triangular': {
+      // Symmetric triangle: inverse CDF on each half
+      const u = rng();
+      return u < 0.5
+        ? base - spread + spread * Math.sqrt(2 * u)
+        : base + spread - spread * Math.sqrt(2 * (1 - u));
+    }
+    default:
+      return base;
+  }
+}
+
+/**
+ * Percentile of a sorted array (linear interpolation)
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  
+  const position = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Build histogram bins between the 1st and 99th percentiles
+ * Values outside that range are counted in the first or last bin
+ * @param {Array<number>} sorted - Values in ascending order
+ * @returns {Array<Object>} Bins ({ from, to, count })
+ */
+function buildHistogram(sorted) {
+  if (sorted.length === 0) return [];
+  
+  const low = percentile(sorted, 1);
+  const high = percentile(sorted, 99);
+  const width = (high - low) / HISTOGRAM_BINS || 1;
+  
+  const bins = [];
+  for (let i = 0; i < HISTOGRAM_BINS; i++) {
+    bins.push({ from: low + i * width, to: low + (i + 1) * width, count: 0 });
+  }
+  
+  sorted.forEach(value => {
+    const index = Math.min(Math.max(Math.floor((value - low) / width), 0), HISTOGRAM_BINS - 1);
+    bins[index].count++;
+  });
+  
+  return bins;
+}
+
+/**
+ * Summarise simulated prices for one model
+ * @param {Array<number>} prices - Valid simulated prices
+ * @param {number} invalid - Number of discarded draws
+ * @returns {Object} { valid, invalid, mean, percentiles, histogram }
+ */
+function summarise(prices, invalid) {
+  const sorted = [...prices].sort((a, b) => a - b);
+  const mean = sorted.length > 0
+    ? sorted.reduce((sum, price) => sum + price, 0) / sorted.length
+    : NaN;
+  
+  const percentiles = {};
+  PERCENTILES.forEach(p => {
+    percentiles[p] = percentile(sorted, p);
+  });
+  
+  return {
+    valid: sorted.length,
+    invalid,
+    mean,
+    percentiles,
+    histogram: buildHistogram(sorted)
+  };
+}
+
+/**
+ * Run a Monte Carlo valuation
+ * Draws are discarded for a model when they leave it without a valid price (e.g. g ≥ r)
+ * Models whose inputs are invalid are not valued; their summary carries the reason as error
+ * @param {Object} inputs - Current input values (UI units, percentages)
+ * @param {Object} distributions - { field: { type, spread } } for SIMULATED_FIELDS
+ * @param {Object} options - { draws, seed, invalidReasons }
+ *   invalidReasons: { modelKey: reason } for models whose inputs are invalid
+ * @returns {Object} Summary keyed by model identifier
+ */
+export function runSimulation(inputs, distributions, { draws, seed, invalidReasons = {} }) {
+  const rng = createRng(seed);
+  const tied = getTiedFields(inputs.growthMode);
+  const valued = MODEL_KEYS.filter(modelKey => !invalidReasons[modelKey]);
+  const prices = {};
+  const invalid = {};
+  
+  valued.forEach(modelKey => {
+    prices[modelKey] = [];
+    invalid[modelKey] = 0;
+  });
+  
+  for (let i = 0; i < draws; i++) {
+    const drawn = { ...inputs };
+    
+    // Sample in a fixed field order so a seed always reproduces the same run
+    SIMULATED_FIELDS.filter(field => !tied[field]).forEach(field => {
+      drawn[field] = sampleDistribution(rng, inputs[field], distributions[field]);
+    });
+    Object.entries(tied).forEach(([field, source]) => {
+      drawn[field] = drawn[source];
+    });
+    
+    const results = calculateAllModels(toModelParams(drawn));
+    
+    valued.forEach(modelKey => {
+      const { price } = results[modelKey];
+      if (isFinite(price) && price > 0) {
+        prices[modelKey].push(price);
+      } else {
+        invalid[modelKey]++;
+      }
+    });
+  }
+  
+  const summary = {};
+  MODEL_KEYS.forEach(modelKey => {
+    summary[modelKey] = invalidReasons[modelKey]
+      ? { ...summarise([], 0), error: invalidReasons[modelKey] }
+      : { ...summarise(prices[modelKey], invalid[modelKey]), error: null };
+  });
+  
+  return summary;
+}
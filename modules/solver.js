@@ -0,0 +1,208 @@
+/**
+ * Solver Module
+ * Numerical root-finding and inverse valuation (implied required return)
+ */
+
+import { calculateModel } from './calculations.js';
+
+const MAX_REQUIRED = 0.5;      // Upper bound for required return (50%)
+const MIN_REQUIRED = 0.001;    // Lower bound for required return (0.1%)
+const RATE_EPSILON = 1e-6;     // Keeps r strictly above the perpetual growth rate
+
+/**
+ * Find a root of a continuous function by bisection
+ * Requires fn(lower) and fn(upper) to have opposite signs
+ * @param {Function} fn - Function of one variable
+ * @param {number} lower - Lower bound
+ * @param {number} upper - Upper bound
+ * @param {Object} options - { tolerance, maxIterations }
+ * @returns {number} Root, or NaN if the bounds do not bracket one
+ */
+export function findRoot(fn, lower, upper, { tolerance = 1e-10, maxIterations = 200 } = {}) {
+  let lo = lower;
+  let hi = upper;
+  let fLo = fn(lo);
+  const fHi = fn(hi);
+  
+  if (!isFinite(fLo) || !isFinite(fHi)) {
+    return NaN;
+  }
+  
+  if (fLo === 0) return lo;
+  if (fHi === 0) return hi;
+  
+  if (Math.sign(fLo) === Math.sign(fHi)) {
+    return NaN;
+  }
+  
+  for (let i = 0; i < maxIterations; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = fn(mid);
+    
+    if (fMid === 0 || (hi - lo) / 2 < tolerance) {
+      return mid;
+    }
+    
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+  
+  return (lo + hi) / 2;
+}
+
+/**
+ * Lowest required return a model can be evaluated at
+ * @param {string} modelKey - Model identifier
+ * @param {Object} params - Input parameters (rates as decimals)
+ * @returns {number} Lower bound for r
+ */
+function requiredLowerBound(modelKey, params) {
+  if (modelKey === 'constant') {
+    return MIN_REQUIRED;
+  }
+  
+  const perpetualGrowth = modelKey === 'growth' ? params.gConst : params.gLong;
+  return Math.max(perpetualGrowth + RATE_EPSILON, MIN_REQUIRED);
+}
+
+/**
+ * Closed-form implied required return, where the model has one
+ * @param {string} modelKey - Model identifier
+ * @param {Object} params - Input parameters (rates as decimals)
+ * @param {number} marketPrice - Observed market price
+ * @returns {number|undefined} Implied r, or undefined if no closed form
+ */
+function closedFormImpliedReturn(modelKey, params, marketPrice) {
+  const { D0, gConst, gShort, gLong, halfLife } = params;
+  
+  switch (modelKey) {
+    case 'constant':
+      // r = D₀ / P
+      return D0 / marketPrice;
+    case 'growth':
+      // r = D₁ / P + g
+      return D0 * (1 + gConst) / marketPrice + gConst;
+    case 'hmodel':
+      // r = (D₀ / P)[(1 + gL) + H(gS - gL)] + gL
+      return (D0 / marketPrice) * ((1 + gLong) + halfLife * (gShort - gLong)) + gLong;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Solve for the required return that equates model price to a market price
+ * Closed form for the constant, Gordon and H-models; bisection otherwise
+ * @param {string} modelKey - Model identifier
+ * @param {Object} params - Input parameters (rates as decimals)
+ * @param {number} marketPrice - Observed market price
+ * @returns {Object} { required, error } — required is NaN when error is set
+ */
+export function solveImpliedReturn(modelKey, params, marketPrice) {
+  const noSolution = (error) => ({ required: NaN, error });
+  
+  if (!(marketPrice > 0)) {
+    return noSolution('Market price must be positive');
+  }
+  
+  const lower = requiredLowerBound(modelKey, params);
+  const upper = MAX_REQUIRED;
+  
+  if (lower >= upper) {
+    return noSolution('Growth rate leaves no required return below 50%');
+  }
+  
+  const closedForm = closedFormImpliedReturn(modelKey, params, marketPrice);
+  
+  if (closedForm !== undefined) {
+    if (closedForm > upper) {
+      return noSolution('Price is below what any required return up to 50% can produce');
+    }
+    if (closedForm < lower) {
+      return noSolution('Price is above what any valid required return can produce');
+    }
+    return { required: closedForm, error: null };
+  }
+  
+  const priceGap = (required) => calculateModel(modelKey, { ...params, required }).price - marketPrice;
+  
+  // Price falls as r rises, so the gap must be positive at the lower bound and negative at the upper
+  if (priceGap(upper) > 0) {
+    return noSolution('Price is below what any required return up to 50% can produce');
+  }
+  if (priceGap(lower) < 0) {
+    return noSolution('Price is above what any valid required return can produce');
+  }
+  
+  const required = findRoot(priceGap, lower, upper);
+  
+  if (!isFinite(required)) {
+    return noSolution('No implied required return found');
+  }
+  
+  return { required, error: null };
+}
+
+/**
+ * Goal-seek: find the input value that produces a target price
+ * Scans the allowed range for a bracket, then refines it by bisection
+ * @param {Function} priceAt - Returns model price for a given input value
+ * @param {number} targetPrice - Desired model price
+ * @param {Object} bounds - { min, max, integer } allowed input range
+ * @returns {Object} { value, price, error } — value is NaN when error is set
+ */
+export function goalSeek(priceAt, targetPrice, { min, max, integer = false }) {
+  const noSolution = (error) => ({ value: NaN, price: NaN, error });
+  
+  if (!(targetPrice > 0)) {
+    return noSolution('Target price must be positive');
+  }
+  
+  const steps = integer ? Math.round(max - min) : 400;
+  const samples = [];
+  
+  for (let i = 0; i <= steps; i++) {
+    const value = integer ? min + i : min + (max - min) * i / steps;
+    samples.push({ value, gap: priceAt(value) - targetPrice });
+  }
+  
+  const valid = samples.filter(sample => isFinite(sample.gap));
+  
+  if (valid.length === 0) {
+    return noSolution('Model is invalid across the whole input range');
+  }
+  
+  if (valid.every(sample => sample.gap === valid[0].gap)) {
+    return noSolution('This input does not affect the selected model\'s price');
+  }
+  
+  // Locate the first adjacent pair of valid samples that brackets the target
+  for (let i = 0; i < samples.length - 1; i++) {
+    const a = samples[i];
+    const b = samples[i + 1];
+    
+    if (!isFinite(a.gap) || !isFinite(b.gap)) continue;
+    
+    if (a.gap === 0 || Math.sign(a.gap) !== Math.sign(b.gap)) {
+      if (integer) {
+        // Report whichever whole number lands closest to the target
+        const best = Math.abs(a.gap) <= Math.abs(b.gap) ? a : b;
+        return { value: best.value, price: best.gap + targetPrice, error: null };
+      }
+      
+      const value = findRoot(x => priceAt(x) - targetPrice, a.value, b.value);
+      return { value, price: priceAt(value), error: null };
+    }
+  }
+  
+  const last = samples[samples.length - 1];
+  if (last.gap === 0) {
+    return { value: last.value, price: targetPrice, error: null };
+  }
+  
+  return noSolution('No solution in range');
+}
@@ -11,15 +11,87 @@ export const state = {
   gShort: 5,                // Short-term growth rate (percentage)
   gLong: 3,                 // Long-term growth rate (percentage)
   shortYears: 5,            // Years of high growth
+  halfLife: 3,              // H-model half-life of high growth (years)
+  transitionYears: 3,       // Three-stage model transition length (years)
+  marketPrice: null,        // Observed market price (optional)
+  verdictTolerance: 5,      // ± band (percentage) within which a stock is fairly valued
+  horizonYears: 10,         // Forecast horizon shown in chart and table
+  purchasePrice: null,      // Holding-period purchase price (optional)
+  holdingYears: 5,          // Years held before selling at the model-implied price
+  
+  // Required return entry
+  requiredMode: 'direct',   // 'direct' | 'capm' (built up from the CAPM inputs below)
+  directRequired: 10,       // Directly entered required return, restored when leaving CAPM mode
+  riskFree: 4,              // CAPM risk-free rate (percentage)
+  beta: 1.2,                // CAPM beta
+  equityPremium: 5,         // CAPM equity risk premium (percentage)
+  sizePremium: 0,           // Size/company-specific premium (percentage, optional)
+  
+  // Growth rate entry
+  growthMode: 'direct',     // 'direct' | 'fundamentals' (gConst and gLong = ROE × b)
+  directGrowth: { gConst: 5, gLong: 3 }, // Directly entered rates, restored when leaving fundamentals mode
+  roe: 12.5,                // Return on equity (percentage)
+  ratioType: 'payout',      // 'payout' | 'retention' (which ratio earningsRatio holds)
+  earningsRatio: 60,        // Payout or retention ratio (percentage)
+  
+  // Dividend entry
+  dividendMode: 'direct',   // 'direct' | 'earnings' (DPS = EPS × payout, EPS on the two-stage path)
+  directD0: 5,              // Directly entered dividend, restored when leaving earnings mode
+  eps: 12.5,                // Current earnings per share
+  payoutHigh: 40,           // Payout ratio during high growth (percentage)
+  payoutMature: 60,         // Payout ratio once growth matures (percentage)
   
   // Model selection
-  selectedModel: 'all', // 'constant' | 'growth' | 'changing' | 'all'
+  selectedModel: 'all', // 'constant' | 'growth' | 'changing' | 'hmodel' | 'threeStage' | 'all'
   
   // UI state
-  viewMode: 'chart',        // 'chart' | 'table'
+  viewMode: 'chart',        // 'chart' | 'table' | 'sensitivity' | 'simulation'
+  
+  // Chart and table display options
+  display: {
+    showTerminalValue: false, // Terminal value bar/row at end of high growth
+    showPresentValues: false, // Discount factor and PV columns in the table
+    showPricePath: false,     // Intrinsic value Pₜ and yield split (table columns, chart line)
+    chartMode: 'nominal'      // 'nominal' | 'discounted' chart bars
+  },
+  
+  // Sensitivity grid settings (percentage points)
+  sensitivity: {
+    model: 'growth',        // Model used when all models are selected
+    rStep: 1,               // Required return step
+    gStep: 0.5,             // Growth rate step
+    steps: 3                // Grid points either side of current inputs
+  },
+  
+  // Monte Carlo settings (spreads in percentage points)
+  simulation: {
+    model: 'growth',        // Histogram model when all models are selected
+    draws: 5000,
+    seed: 42,
+    distributions: {
+      required: { type: 'normal', spread: 1 },
+      gConst: { type: 'triangular', spread: 1 },
+      gShort: { type: 'uniform', spread: 2 },
+      gLong: { type: 'normal', spread: 0.5 }
+    },
+    results: null           // Summary of the last run
+  },
+  
+  // Scenario comparison (one model across several input sets)
+  comparison: {
+    enabled: false,
+    model: 'growth',        // Model compared when all models are selected
+    slots: [                // source: 'current', a saved scenario id, or '' (unused); weight: probability or null
+      { source: 'current', weight: null },
+      { source: '', weight: null },
+      { source: '', weight: null },
+      { source: '', weight: null }
+    ],
+    results: null           // Comparison from the last calculation (null when comparison is off)
+  },
   
   // Calculated values
-  calculations: null,       // All three model calculations
+  calculations: null,       // All model calculations
   
   // Validation errors
   errors: {},
@@ -28,6 +100,17 @@ export const state = {
   listeners: []
 };
 
+/**
+ * Numeric input fields (each has an input element with the same id)
+ */
+export const INPUT_FIELDS = [
+  'D0', 'required', 'gConst', 'gShort', 'gLong', 'shortYears', 'halfLife', 'transitionYears',
+  'marketPrice', 'verdictTolerance', 'horizonYears', 'purchasePrice', 'holdingYears',
+  'riskFree', 'beta', 'equityPremium', 'sizePremium',
+  'roe', 'earningsRatio',
+  'eps', 'payoutHigh', 'payoutMature'
+];
+
 /**
  * Update state and notify listeners
  * @param {Object} updates - Object with state properties to update
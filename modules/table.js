@@ -5,14 +5,146 @@
  */
 
 import { formatCurrency, createElement } from './utils.js';
-import { getModelMetadata } from './calculations.js';
+import { getModelMetadata, MODEL_KEYS } from './calculations.js';
+
+/**
+ * Columns shown for a model
+ * cell: value for a cash flow row; terminalCell: value for a terminal value row
+ * Earnings-driven models show EPS and payout beside the dividend per share
+ * @param {Object} display - Display options
+ * @param {Object} modelData - Model calculation data
+ * @returns {Array<Object>} Column definitions
+ */
+function getModelColumns(display, modelData) {
+  const columns = [];
+  
+  if (modelData.earnings) {
+    columns.push(
+      {
+        key: 'eps',
+        header: 'EPS',
+        cell: (cf) => cf.year === 0 ? formatCurrency(modelData.earnings.eps) : formatCurrency(cf.eps),
+        terminalCell: () => ''
+      },
+      {
+        key: 'payout',
+        header: 'Payout',
+        cell: (cf) => cf.year === 0 ? '—' : `${(cf.payout * 100).toFixed(1)}%`,
+        terminalCell: () => ''
+      }
+    );
+  }
+  
+  columns.push({
+    key: 'dividend',
+    header: modelData.earnings ? 'DPS' : 'Dividend',
+    cell: (cf) => formatCurrency(cf.dividend, true),
+    terminalCell: (terminal) => formatCurrency(terminal.value)
+  });
+  
+  if (display.showPricePath) {
+    const percentCell = (key) => (cf) => cf.year === 0 ? '—' : `${(cf[key] * 100).toFixed(2)}%`;
+    
+    columns.push(
+      {
+        key: 'intrinsicValue',
+        header: 'Price (Pₜ)',
+        cell: (cf) => formatCurrency(cf.intrinsicValue),
+        terminalCell: () => ''
+      },
+      {
+        key: 'dividendYield',
+        header: 'Dividend Yield',
+        cell: percentCell('dividendYield'),
+        terminalCell: () => ''
+      },
+      {
+        key: 'capitalGainsYield',
+        header: 'Capital Gains Yield',
+        cell: percentCell('capitalGainsYield'),
+        terminalCell: () => ''
+      }
+    );
+  }
+  
+  if (display.showPresentValues) {
+    columns.push(
+      {
+        key: 'presentValue',
+        header: 'PV',
+        cell: (cf) => formatCurrency(cf.presentValue, true),
+        terminalCell: (terminal) => formatCurrency(terminal.presentValue)
+      },
+      {
+        key: 'cumulativePV',
+        header: 'Cumulative PV',
+        cell: (cf) => cf.year === 0 ? '—' : formatCurrency(cf.cumulativePV),
+        terminalCell: () => ''
+      }
+    );
+  }
+  
+  return columns;
+}
+
+/**
+ * Single placeholder column for a model that could not be calculated
+ * @returns {Array<Object>} Column definitions
+ */
+function getUnavailableColumns() {
+  return [
+    {
+      key: 'unavailable',
+      header: 'Unavailable',
+      cell: () => '—',
+      terminalCell: () => '—'
+    }
+  ];
+}
+
+/**
+ * Footer rows; each returns cell values keyed by column key
+ * @param {Object} display - Display options
+ * @returns {Array<Object>} Footer row definitions ({ label, cells(modelData) })
+ */
+function getFooterRows(display) {
+  const rows = [
+    {
+      label: 'Total Received',
+      cells: (modelData) => {
+        // Only sum positive dividends (exclude initial investment)
+        const total = modelData.cashFlows.reduce((sum, cf) => sum + (cf.dividend > 0 ? cf.dividend : 0), 0);
+        return { dividend: formatCurrency(total) };
+      }
+    }
+  ];
+  
+  if (display.showPresentValues) {
+    rows.push(
+      {
+        label: 'PV of Dividends Within Horizon',
+        cells: (modelData) => ({ presentValue: formatCurrency(modelData.pvWithinHorizon) })
+      },
+      {
+        label: 'Price Beyond Horizon',
+        cells: (modelData) => {
+          const share = (modelData.pvBeyondHorizon / modelData.price * 100).toFixed(1);
+          return { presentValue: formatCurrency(modelData.pvBeyondHorizon), cumulativePV: `${share}% of price` };
+        }
+      }
+    );
+  }
+  
+  return rows;
+}
 
 /**
  * Render dividend cash flow table
- * @param {Object} calculations - All three model calculations
- * @param {string} selectedModel - Selected model ('all', 'constant', 'growth', 'changing')
+ * @param {Object} calculations - All model calculations
+ * @param {string} selectedModel - Selected model ('all' or a model key)
+ * @param {Object} display - Display options ({ showTerminalValue, showPresentValues })
  */
-export function renderTable(calculations, selectedModel) {
+export function renderTable(calculations, selectedModel, display = {}) {
   const tableElement = document.getElementById('data-table-element');
   
   if (!tableElement) {
@@ -24,55 +156,61 @@ export function renderTable(calculations, selectedModel) {
   tableElement.innerHTML = '';
   
   // Determine which models to display
-  const modelsToShow = selectedModel === 'all' 
-    ? ['constant', 'growth', 'changing']
+  const modelsToShow = selectedModel === 'all'
+    ? MODEL_KEYS
     : [selectedModel];
   
-  // Get data from first model (they all have same years)
-  const firstModel = calculations[modelsToShow[0]];
-  if (!firstModel || !firstModel.cashFlows || firstModel.cashFlows.length === 0) {
-    console.warn('No cash flow data available for table');
+  // Get years from the first valid model (they all have same years)
+  const invalidModels = modelsToShow.filter(modelKey => calculations[modelKey].error);
+  const firstModel = calculations[modelsToShow.find(modelKey => !invalidModels.includes(modelKey))];
+  if (!firstModel) {
+    // Nothing to tabulate: say which assumption broke each model
+    const reasons = invalidModels.map(modelKey =>
+      `${getModelMetadata(modelKey).name}: ${calculations[modelKey].error.reason}.`);
+    tableElement.appendChild(createElement('caption', { className: 'table-empty-caption' },
+      `No dividend cash flows to show. ${reasons.join(' ')}`));
     return;
   }
   
   const cashFlows = firstModel.cashFlows;
+  const columnsByModel = {};
+  modelsToShow.forEach(modelKey => {
+    columnsByModel[modelKey] = invalidModels.includes(modelKey)
+      ? getUnavailableColumns()
+      : getModelColumns(display, calculations[modelKey]);
+  });
   
   // Build caption
   let captionText = 'Dividend cash flows: ';
   if (selectedModel === 'all') {
-    captionText += 'All three models compared. ';
+    captionText += 'All models compared. ';
   } else {
     const metadata = getModelMetadata(selectedModel);
     captionText += `${metadata.name}. `;
   }
-  captionText += 'Year 0 shows initial investment (negative). Years 1-10 show expected dividend payments.';
+  captionText += `Year 0 shows initial investment (negative). Years 1-${cashFlows.length - 1} show expected dividend payments.`;
+  if (display.showTerminalValue) {
+    captionText += ' Terminal value rows show the value of all later dividends at the end of the high growth stage.';
+  }
+  if (modelsToShow.some(modelKey => calculations[modelKey].earnings)) {
+    captionText += ' Earnings-driven models show earnings per share, payout ratio and dividend per share side by side.';
+  }
+  invalidModels.forEach(modelKey => {
+    captionText += ` ${getModelMetadata(modelKey).name} unavailable: ${calculations[modelKey].error.reason}.`;
+  });
+  if (display.showPricePath) {
+    captionText += ' Price columns show the model-implied value at the end of each year; each year\'s dividend yield ' +
+      'plus capital gains yield equals the required return.';
+  }
+  if (display.showPresentValues) {
+    captionText += ' Discount factor, present value and cumulative present value columns show how much of the price ' +
+      'is received within the horizon; the footer shows the share of price beyond it.';
+  }
   
   const caption = createElement('caption', { className: 'sr-only' }, captionText);
   tableElement.appendChild(caption);
   
-  // Create table head
-  const thead = createElement('thead');
-  const headerRow = createElement('tr');
-  
-  // Year column
-  const yearHeader = createElement('th', {
-    scope: 'col',
-    className: 'text-left'
-  }, 'Year');
-  headerRow.appendChild(yearHeader);
-  
-  // Model columns
-  modelsToShow.forEach(modelKey => {
-    const metadata = getModelMetadata(modelKey);
-    const th = createElement('th', {
-      scope: 'col',
-      className: 'text-right'
-    }, metadata.name);
-    headerRow.appendChild(th);
-  });
-  
-  thead.appendChild(headerRow);
-  tableElement.appendChild(thead);
+  tableElement.appendChild(createTableHead(modelsToShow, columnsByModel, display));
   
   // Create table body
   const tbody = createElement('tbody');
@@ -88,45 +226,167 @@ export function renderTable(calculations, selectedModel) {
     }, yearLabel);
     tr.appendChild(yearTh);
     
-    // Model dividend cells
+    // Discount factor (shared by all models)
+    if (display.showPresentValues) {
+      tr.appendChild(createElement('td', { className: 'text-right' }, row.discountFactor.toFixed(4)));
+    }
+    
+    // Model cells
     modelsToShow.forEach(modelKey => {
-      const modelData = calculations[modelKey];
-      const dividend = modelData.cashFlows[index].dividend;
+      const cashFlow = calculations[modelKey].cashFlows[index];
       
-      const td = createElement('td', { className: 'text-right' });
-      td.textContent = formatCurrency(dividend, true);
-      tr.appendChild(td);
+      columnsByModel[modelKey].forEach(column => {
+        const td = createElement('td', { className: 'text-right' });
+        td.textContent = column.cell(cashFlow);
+        tr.appendChild(td);
+      });
     });
     
     tbody.appendChild(tr);
+    
+    // Terminal value row after the year it is received
+    if (display.showTerminalValue) {
+      const terminalRow = createTerminalValueRow(row, modelsToShow, calculations, columnsByModel, display);
+      if (terminalRow) {
+        tbody.appendChild(terminalRow);
+      }
+    }
   });
   
   tableElement.appendChild(tbody);
   
-  // Create table foot with totals (sum of all dividends)
+  // Create table foot with totals
   const tfoot = createElement('tfoot');
-  const footerRow = createElement('tr');
   
-  // Total row header
-  const totalTh = createElement('th', {
+  getFooterRows(display).forEach(({ label, cells }) => {
+    const footerRow = createElement('tr');
+    
+    footerRow.appendChild(createElement('th', {
+      scope: 'row',
+      className: 'text-left'
+    }, label));
+    
+    if (display.showPresentValues) {
+      footerRow.appendChild(createElement('td'));
+    }
+    
+    modelsToShow.forEach(modelKey => {
+      const values = invalidModels.includes(modelKey) ? {} : cells(calculations[modelKey]);
+      
+      columnsByModel[modelKey].forEach(column => {
+        const td = createElement('td', { className: 'text-right' });
+        td.textContent = values[column.key] || '';
+        footerRow.appendChild(td);
+      });
+    });
+    
+    tfoot.appendChild(footerRow);
+  });
+  
+  tableElement.appendChild(tfoot);
+}
+
+/**
+ * Create table head
+ * Uses a second header row (grouped by model) when any model has several columns
+ * @param {Array<string>} modelsToShow - Model identifiers
+ * @param {Object} columnsByModel - Column definitions keyed by model identifier
+ * @param {Object} display - Display options
+ * @returns {Element} thead element
+ */
+function createTableHead(modelsToShow, columnsByModel, display) {
+  const thead = createElement('thead');
+  const grouped = modelsToShow.some(modelKey => columnsByModel[modelKey].length > 1);
+  const rowSpan = grouped ? 2 : 1;
+  const headerRow = createElement('tr');
+  
+  // Year column
+  headerRow.appendChild(createElement('th', {
+    scope: 'col',
+    className: 'text-left',
+    rowSpan
+  }, 'Year'));
+  
+  if (display.showPresentValues) {
+    headerRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: 'text-right',
+      rowSpan
+    }, 'Discount Factor'));
+  }
+  
+  // Model columns
+  modelsToShow.forEach(modelKey => {
+    const metadata = getModelMetadata(modelKey);
+    const headerText = columnsByModel[modelKey][0].key === 'unavailable' && !grouped
+      ? `${metadata.name} (unavailable)`
+      : metadata.name;
+    headerRow.appendChild(createElement('th', grouped
+      ? { scope: 'colgroup', className: 'text-center', colSpan: columnsByModel[modelKey].length }
+      : { scope: 'col', className: 'text-right' },
+    headerText));
+  });
+  
+  thead.appendChild(headerRow);
+  
+  if (grouped) {
+    const subHeaderRow = createElement('tr');
+    
+    modelsToShow.forEach(modelKey => {
+      columnsByModel[modelKey].forEach(column => {
+        subHeaderRow.appendChild(createElement('th', {
+          scope: 'col',
+          className: 'text-right'
+        }, column.header));
+      });
+    });
+    
+    thead.appendChild(subHeaderRow);
+  }
+  
+  return thead;
+}
+
+/**
+ * Create terminal value row for a year, if any shown model receives one then
+ * @param {Object} row - Cash flow row for the year
+ * @param {Array<string>} modelsToShow - Model identifiers
+ * @param {Object} calculations - All model calculations
+ * @param {Object} columnsByModel - Column definitions keyed by model identifier
+ * @param {Object} display - Display options
+ * @returns {Element|null} Table row or null
+ */
+function createTerminalValueRow(row, modelsToShow, calculations, columnsByModel, display) {
+  const { year } = row;
+  const hasTerminalValue = modelsToShow.some(modelKey =>
+    calculations[modelKey].cashFlows[year]?.terminalValue
+  );
+  
+  if (!hasTerminalValue) {
+    return null;
+  }
+  
+  const tr = createElement('tr', { className: 'terminal-value-row' });
+  
+  tr.appendChild(createElement('th', {
     scope: 'row',
     className: 'text-left'
-  }, 'Total Received');
-  footerRow.appendChild(totalTh);
+  }, `Terminal Value (Year ${year})`));
+  
+  if (display.showPresentValues) {
+    tr.appendChild(createElement('td', { className: 'text-right' }, row.discountFactor.toFixed(4)));
+  }
   
-  // Calculate totals for each model
   modelsToShow.forEach(modelKey => {
     const modelData = calculations[modelKey];
-    const total = modelData.cashFlows.reduce((sum, cf) => {
-      // Only sum positive dividends (exclude initial investment)
-      return sum + (cf.dividend > 0 ? cf.dividend : 0);
-    }, 0);
+    const hasValue = modelData.terminal && modelData.terminal.year === year;
     
-    const td = createElement('td', { className: 'text-right' });
-    td.textContent = formatCurrency(total);
-    footerRow.appendChild(td);
+    columnsByModel[modelKey].forEach(column => {
+      const td = createElement('td', { className: 'text-right' });
+      td.textContent = hasValue ? column.terminalCell(modelData.terminal) : '—';
+      tr.appendChild(td);
+    });
   });
   
-  tfoot.appendChild(footerRow);
-  tableElement.appendChild(tfoot);
-}
\ No newline at end of file
+  return tr;
+}
@@ -131,22 +131,32 @@ export function listen(element, event, handler) {
 
 /**
  * Debounce function calls
+ * The returned function has flush(), which runs a waiting call immediately
  * @param {Function} func - Function to debounce
  * @param {number} wait - Wait time in milliseconds
  * @returns {Function} Debounced function
  */
 export function debounce(func, wait = 300) {
   let timeout;
+  let pending = null;  // Arguments of the waiting call
   
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    
+  function executedFunction(...args) {
+    pending = args;
     clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
+    timeout = setTimeout(executedFunction.flush, wait);
+  }
+  
+  executedFunction.flush = () => {
+    clearTimeout(timeout);
+    
+    if (pending) {
+      const args = pending;
+      pending = null;
+      func(...args);
+    }
   };
+  
+  return executedFunction;
 }
 
 /**
@@ -168,6 +178,23 @@ export function focusElement(element, delay = 0) {
   }
 }
 
+/**
+ * Save text as a file through the browser's download
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = createElement('a', { href: url, download: filename });
+  
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Announce message to screen readers
  * @param {string} message - Message to announce
@@ -29,6 +29,7 @@ const validationRules = {
     label: 'Constant Growth Rate',
     errorMessage: 'Constant growth rate must be between -10% and 30%',
     formatValue: (val) => `${val}%`,
+    dependsOn: ['required'],
     customValidation: (value, allInputs) => {
       if (allInputs.required && value >= allInputs.required) {
         return 'Growth rate must be less than required return';
@@ -49,6 +50,7 @@ const validationRules = {
     label: 'Long-term Growth Rate',
     errorMessage: 'Long-term growth rate must be between -10% and 30%',
     formatValue: (val) => `${val}%`,
+    dependsOn: ['required'],
     customValidation: (value, allInputs) => {
       if (allInputs.required && value >= allInputs.required) {
         return 'Long-term growth must be less than required return';
@@ -62,6 +64,124 @@ const validationRules = {
     label: 'High Growth Period',
     errorMessage: 'High growth period must be between 1 and 10 years',
     formatValue: (val) => `${val} years`
+  },
+  halfLife: {
+    min: 0.5,
+    max: 10,
+    label: 'H-Model Half-Life',
+    errorMessage: 'H-model half-life must be between 0.5 and 10 years',
+    formatValue: (val) => `${val} years`
+  },
+  transitionYears: {
+    min: 0,
+    max: 10,
+    integer: true,
+    label: 'Transition Period',
+    errorMessage: 'Transition period must be a whole number between 0 and 10 years',
+    formatValue: (val) => `${val} years`
+  },
+  horizonYears: {
+    min: 5,
+    max: 50,
+    integer: true,
+    label: 'Forecast Horizon',
+    errorMessage: 'Forecast horizon must be a whole number between 5 and 50 years',
+    formatValue: (val) => `${val} years`
+  },
+  purchasePrice: {
+    min: 0.01,
+    max: 100000,
+    optional: true,
+    label: 'Purchase Price',
+    errorMessage: 'Purchase price must be between $0.01 and $100,000',
+    formatValue: (val) => `$${val.toFixed(2)}`
+  },
+  holdingYears: {
+    min: 1,
+    max: 50,
+    integer: true,
+    label: 'Holding Period',
+    errorMessage: 'Holding period must be a whole number between 1 and 50 years',
+    formatValue: (val) => `${val} years`
+  },
+  verdictTolerance: {
+    min: 0,
+    max: 50,
+    label: 'Fair Value Band',
+    errorMessage: 'Fair value band must be between 0% and 50%',
+    formatValue: (val) => `±${val}%`
+  },
+  riskFree: {
+    min: -2,
+    max: 20,
+    label: 'Risk-Free Rate',
+    errorMessage: 'Risk-free rate must be between -2% and 20%',
+    formatValue: (val) => `${val}%`
+  },
+  beta: {
+    min: -1,
+    max: 5,
+    label: 'Beta',
+    errorMessage: 'Beta must be between -1 and 5',
+    formatValue: (val) => `${val}`
+  },
+  equityPremium: {
+    min: 0,
+    max: 20,
+    label: 'Equity Risk Premium',
+    errorMessage: 'Equity risk premium must be between 0% and 20%',
+    formatValue: (val) => `${val}%`
+  },
+  sizePremium: {
+    min: -10,
+    max: 20,
+    optional: true,
+    label: 'Size/Company Premium',
+    errorMessage: 'Size/company-specific premium must be between -10% and 20%',
+    formatValue: (val) => `${val}%`
+  },
+  roe: {
+    min: -50,
+    max: 100,
+    label: 'Return on Equity',
+    errorMessage: 'Return on equity must be between -50% and 100%',
+    formatValue: (val) => `${val}%`
+  },
+  earningsRatio: {
+    min: 0,
+    max: 100,
+    label: 'Payout/Retention Ratio',
+    errorMessage: 'Payout or retention ratio must be between 0% and 100%',
+    formatValue: (val) => `${val}%`
+  },
+  eps: {
+    min: 0.01,
+    max: 10000,
+    label: 'Current EPS',
+    errorMessage: 'Current EPS must be between $0.01 and $10,000',
+    formatValue: (val) => `$${val.toFixed(2)}`
+  },
+  payoutHigh: {
+    min: 0,
+    max: 100,
+    label: 'High-Growth Payout Ratio',
+    errorMessage: 'High-growth payout ratio must be between 0% and 100%',
+    formatValue: (val) => `${val}%`
+  },
+  payoutMature: {
+    min: 0,
+    max: 100,
+    label: 'Mature Payout Ratio',
+    errorMessage: 'Mature payout ratio must be between 0% and 100%',
+    formatValue: (val) => `${val}%`
+  },
+  marketPrice: {
+    min: 0.01,
+    max: 100000,
+    optional: true,
+    label: 'Market Price',
+    errorMessage: 'Market price must be between $0.01 and $100,000',
+    formatValue: (val) => `$${val.toFixed(2)}`
   }
 };
 
@@ -79,13 +199,18 @@ export function validateField(field, value, allInputs = {}) {
     return null;
   }
   
+  // Optional fields may be left blank
+  if (rules.optional && (value === null || value === '' || Number.isNaN(value))) {
+    return null;
+  }
+  
   // Check if value is a number
   if (isNaN(value) || value === '') {
     return `${rules.label} is required`;
   }
   
-  // Check min/max bounds
-  if (value < rules.min || value > rules.max) {
+  // Check min/max bounds (and whole numbers where required)
+  if (value < rules.min || value > rules.max || (rules.integer && !Number.isInteger(value))) {
     return rules.errorMessage;
   }
   
@@ -118,6 +243,18 @@ export function validateAllInputs(inputs) {
   return errors;
 }
 
+/**
+ * Fields whose cross-field validation reads a given field (rules with dependsOn)
+ * These must be re-validated whenever that field changes
+ * @param {string} field - Changed field name
+ * @returns {Array<string>} Dependent field names
+ */
+export function getDependentFields(field) {
+  return Object.keys(validationRules).filter(name =>
+    (validationRules[name].dependsOn || []).includes(field)
+  );
+}
+
 /**
  * Check if there are any validation errors
  * @param {Object} errors - Errors object